@@ -1,44 +1,655 @@
 import axios from "axios";
 import crypto from "crypto";
 import dotenv from "dotenv";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { isMainThread, parentPort, Worker } from "worker_threads";
 import WebSocket from "ws";
 
 dotenv.config();
 
+// ================= CONFIG FILE =================
+/**
+ * CONFIG_FILE (default bot-config.json, optional) holds the settings below as JSON, under the
+ * same names as the env vars. "symbols" holds per-symbol overrides, "BUY" / "SELL" inside a
+ * symbol hold per-leg overrides for hedge mode, and "coins" holds per-coin reserve rules:
+ *
+ *   {
+ *     "MAX_LOSS": -70,
+ *     "TAKE_PROFIT": 90,
+ *     "UTA_RESERVE_BALANCE": 501,
+ *     "symbols": { "ETHUSDT": { "MAX_LOSS": -40, "SELL": { "TAKE_PROFIT": 60 } } },
+ *     "coins": { "USDC": { "UTA_RESERVE_BALANCE": 100 } }
+ *   }
+ *
+ * A value in the file wins over the env var of the same name. File and env are checked
+ * against CONFIG_SCHEMA at startup and every problem is reported at once. The file is
+ * watched: "live" settings apply to the next evaluation without reconnecting anything, the
+ * others are only logged as needing a restart. Every change is logged (and so sent to Telegram).
+ * Secrets and URLs stay env-only.
+ */
+const CONFIG_FILE = process.env.CONFIG_FILE || "bot-config.json";
+
+const mustBe = (ok, message) => ok || message;
+const isNegative = (v) => mustBe(v < 0, "must be negative");
+const isPositive = (v) => mustBe(v > 0, "must be positive");
+const isNotNegative = (v) => mustBe(v >= 0, "must be 0 or more");
+const isNotPositive = (v) => mustBe(v <= 0, "must be negative (or 0 to disable)");
+const isPercent = (v) => mustBe(v >= 0 && v <= 100, "must be between 0 and 100");
+
+/**
+ * type:   number | integer | boolean | string | enum (values)
+ * scope:  "symbol" = also per symbol, "side" = also per symbol and hedge leg,
+ *         "coin" = also per coin (UTA_RESERVE_BALANCE_USDC)
+ * live:   re-read on config file changes; everything else needs a restart
+ * check:  returns true or a message
+ */
+const CONFIG_SCHEMA = {
+  SYMBOL: { type: "string", default: "BTCUSDT" },
+  SYMBOLS: { type: "string", default: "" },
+  POSITION_SETTLE_COIN: { type: "string", default: "USDT" },
+  TRADE_MODE: { type: "enum", values: ["mainnet", "demo", "testnet"], default: "mainnet" },
+  POSITION_MODE: { type: "enum", values: ["auto", "oneway", "hedge"], default: "auto" },
+  DRY_RUN: { type: "boolean", default: false },
+  FORCE_REST_CLOSE_ON_DEMO: { type: "boolean", default: true },
+
+  MAX_LOSS: { type: "number", default: -70, scope: "side", live: true, check: isNegative },
+  TAKE_PROFIT: { type: "number", default: 90, scope: "side", live: true, check: isPositive },
+  THRESHOLD_TYPE: {
+    type: "enum",
+    values: ["pnl", "roe", "move", "price"],
+    default: "pnl",
+    scope: "symbol",
+    live: true,
+  },
+  STOP_LOSS_PRICE: { type: "number", default: 0, scope: "side", live: true, check: isNotNegative },
+  TAKE_PROFIT_PRICE: {
+    type: "number",
+    default: 0,
+    scope: "side",
+    live: true,
+    check: isNotNegative,
+  },
+  TAKE_PROFIT_LADDER: {
+    type: "string",
+    default: "",
+    scope: "symbol",
+    live: true,
+    check: (v) => {
+      try {
+        parseTakeProfitLadder(v.trim());
+        return true;
+      } catch (err) {
+        return err.message;
+      }
+    },
+  },
+  BREAK_EVEN_TRIGGER: {
+    type: "number",
+    default: 0,
+    scope: "side",
+    live: true,
+    check: isNotNegative,
+  },
+  BREAK_EVEN_BUFFER: { type: "number", default: 0, scope: "side", live: true },
+  TRAILING_ENABLED: { type: "boolean", default: false, live: true },
+  TRAILING_ACTIVATION_PNL: { type: "number", default: null, scope: "side", live: true },
+  TRAILING_GIVEBACK: {
+    type: "number",
+    default: 20,
+    scope: "side",
+    live: true,
+    check: isNotNegative,
+  },
+  TRAILING_GIVEBACK_PERCENT: {
+    type: "number",
+    default: 0,
+    scope: "side",
+    live: true,
+    check: isPercent,
+  },
+  PNL_RECONCILE_TOLERANCE: { type: "number", default: 1, live: true, check: isNotNegative },
+  MARK_PRICE_STREAM_ENABLED: { type: "boolean", default: true },
+
+  RECV_WINDOW: { type: "integer", default: 5000, check: isPositive },
+  HTTP_TIMEOUT_MS: { type: "integer", default: 10000, check: isPositive },
+  REST_MAX_RETRIES: { type: "integer", default: 2, check: isNotNegative },
+  REST_QUOTA_RESERVE_PERCENT: { type: "number", default: 20, check: isPercent },
+  POSITION_CACHE_TTL: { type: "integer", default: 3000, check: isPositive },
+  CLOSE_VERIFY_RETRIES: { type: "integer", default: 10, check: isPositive },
+  CLOSE_VERIFY_DELAY_MS: {
+    type: "integer",
+    default: 1000,
+    aliases: ["CLOSE_VERIFY_DELAY"],
+    check: isPositive,
+  },
+  TRADE_WS_ACK_TIMEOUT_MS: { type: "integer", default: 3000, check: isPositive },
+  TRADE_WS_QUEUE_TTL_MS: { type: "integer", default: 2000, check: isPositive },
+  CLOSE_ESCALATION_ROUNDS: { type: "integer", default: 2, check: isNotNegative },
+
+  DAILY_MAX_LOSS: { type: "number", default: 0, check: isNotPositive },
+  DAILY_PNL_REFRESH_MS: { type: "integer", default: 60 * 1000, check: isPositive },
+
+  EXCHANGE_TPSL_ENABLED: { type: "boolean", default: false, live: true },
+  EXCHANGE_TPSL_BUFFER_PERCENT: {
+    type: "number",
+    default: 0.5,
+    live: true,
+    check: isNotNegative,
+  },
+  EXCHANGE_TPSL_TRIGGER_BY: {
+    type: "enum",
+    values: ["MarkPrice", "LastPrice", "IndexPrice"],
+    default: "MarkPrice",
+    live: true,
+  },
+
+  JOURNAL_ENABLED: { type: "boolean", default: true },
+
+  TRANSFER_AMOUNT: { type: "number", default: 100, live: true, check: isPositive },
+  RESERVE_COINS: {
+    type: "string",
+    default: "USDT",
+    live: true,
+    check: (v) =>
+      mustBe(/^[A-Z0-9]+(,[A-Z0-9]+)*$/i.test(v.replace(/\s+/g, "")), "must be like USDT,USDC"),
+  },
+  UTA_RESERVE_BALANCE: {
+    type: "number",
+    default: 501,
+    scope: "coin",
+    live: true,
+    check: isNotNegative,
+  },
+  UTA_RESERVE_PERCENT: { type: "number", default: 0, scope: "coin", live: true, check: isPercent },
+  TOPUP_FLOOR: { type: "number", default: 0, live: true, check: isNotNegative },
+  TOPUP_TARGET: { type: "number", default: 0, live: true, check: isNotNegative },
+  TOPUP_DAILY_CAP: { type: "number", default: 0, live: true, check: isNotNegative },
+  RESERVE_CHECK_INTERVAL_MS: { type: "integer", default: 60 * 1000, check: isPositive },
+  RESERVE_TRANSFER_MIN_AMOUNT: { type: "number", default: 0.01, live: true, check: isPositive },
+  RESERVE_FAST_TRANSFER_DELAY_MS: { type: "integer", default: 1000, check: isNotNegative },
+  TRANSFER_MAX_ATTEMPTS: { type: "integer", default: 3, check: isPositive },
+  TRANSFER_RECONCILE_INTERVAL_MS: { type: "integer", default: 15 * 60 * 1000, check: isPositive },
+
+  TELEGRAM_HEARTBEAT_MINUTES: { type: "number", default: 10, check: isPositive },
+};
+
+const CONFIG_SIDES = ["BUY", "SELL"];
+
+// flat setting name (MAX_LOSS, MAX_LOSS_ETHUSDT, TAKE_PROFIT_ETHUSDT_SELL) -> { value, path }
+let fileConfig = new Map();
+
+// Returns { name, spec } for a flat setting name, or null when it is not in the schema.
+// The longest matching base name wins, so TAKE_PROFIT_PRICE_X is never read as TAKE_PROFIT.
+function matchConfigKey(key) {
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (key === name || spec.aliases?.includes(key)) return { name, spec };
+  }
+
+  let match = null;
+
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!spec.scope || !key.startsWith(`${name}_`)) continue;
+
+    const parts = key.slice(name.length + 1).split("_");
+    const sided = spec.scope === "side" && parts.length === 2 && CONFIG_SIDES.includes(parts[1]);
+    if (parts.length !== 1 && !sided) continue;
+    if (!parts[0]) continue;
+
+    if (!match || name.length > match.name.length) match = { name, spec };
+  }
+
+  return match;
+}
+
+// Raw value as written in the file or env ("" counts as unset).
+function getConfigRaw(key) {
+  if (fileConfig.has(key)) return fileConfig.get(key).value;
+
+  const spec = CONFIG_SCHEMA[key];
+  for (const name of [key, ...(spec?.aliases || [])]) {
+    if (process.env[name] !== undefined && process.env[name] !== "") return process.env[name];
+  }
+
+  return undefined;
+}
+
+// { value } or { error } for one raw value, checked against its schema entry.
+function parseConfigValue(spec, raw) {
+  let value;
+
+  if (spec.type === "number" || spec.type === "integer") {
+    value = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw.trim()) : NaN;
+    if (!Number.isFinite(value) || (typeof raw === "string" && !raw.trim())) {
+      return { error: "must be a number" };
+    }
+    if (spec.type === "integer" && !Number.isInteger(value)) {
+      return { error: "must be a whole number" };
+    }
+  } else if (spec.type === "boolean") {
+    const text = String(raw).trim().toLowerCase();
+    if (text !== "true" && text !== "false") return { error: "must be true or false" };
+    value = text === "true";
+  } else if (spec.type === "enum") {
+    value = spec.values.find((v) => v.toLowerCase() === String(raw).trim().toLowerCase());
+    if (value === undefined) return { error: `must be one of: ${spec.values.join(", ")}` };
+  } else {
+    if (typeof raw === "object" && raw !== null) return { error: "must be a string" };
+    value = String(raw);
+  }
+
+  const check = spec.check ? spec.check(value) : true;
+  return check === true ? { value } : { error: check };
+}
+
+// Parsed value of a setting, its default when unset. Only called on validated config.
+function getSetting(key) {
+  const match = matchConfigKey(key);
+  const raw = getConfigRaw(key);
+  if (raw === undefined || raw === "") return match.spec.default;
+
+  const { value, error } = parseConfigValue(match.spec, raw);
+  return error ? match.spec.default : value;
+}
+
+// { values, errors }: the file flattened to env-style names. A missing file is an empty config.
+function readConfigFile(file) {
+  const values = new Map();
+  const errors = [];
+
+  if (!fs.existsSync(file)) return { values, errors };
+
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    return { values, errors: [`${file}: not valid JSON (${err.message})`] };
+  }
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { values, errors: [`${file}: must contain a JSON object`] };
+  }
+
+  const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+  for (const [key, value] of Object.entries(json)) {
+    if (key === "symbols" || key === "coins") continue;
+    if (!CONFIG_SCHEMA[key]) {
+      errors.push(`${file}: unknown setting "${key}"`);
+      continue;
+    }
+    values.set(key, { value, path: key });
+  }
+
+  if (json.symbols !== undefined && !isObject(json.symbols)) {
+    errors.push(`${file}: "symbols" must be an object keyed by symbol`);
+    return { values, errors };
+  }
+
+  for (const [symbol, settings] of Object.entries(json.symbols || {})) {
+    const symbolPath = `symbols.${symbol}`;
+
+    if (symbol !== symbol.toUpperCase() || !isObject(settings)) {
+      errors.push(`${file}: "${symbolPath}" must be an upper-case symbol with an object value`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (CONFIG_SIDES.includes(key) && isObject(value)) {
+        for (const [sideKey, sideValue] of Object.entries(value)) {
+          if (CONFIG_SCHEMA[sideKey]?.scope !== "side") {
+            errors.push(`${file}: "${symbolPath}.${key}.${sideKey}" can not be set per leg`);
+            continue;
+          }
+          values.set(`${sideKey}_${symbol}_${key}`, {
+            value: sideValue,
+            path: `${symbolPath}.${key}.${sideKey}`,
+          });
+        }
+        continue;
+      }
+
+      if (!["symbol", "side"].includes(CONFIG_SCHEMA[key]?.scope)) {
+        errors.push(`${file}: "${symbolPath}.${key}" can not be set per symbol`);
+        continue;
+      }
+      values.set(`${key}_${symbol}`, { value, path: `${symbolPath}.${key}` });
+    }
+  }
+
+  if (json.coins !== undefined && !isObject(json.coins)) {
+    errors.push(`${file}: "coins" must be an object keyed by coin`);
+    return { values, errors };
+  }
+
+  for (const [coin, settings] of Object.entries(json.coins || {})) {
+    const coinPath = `coins.${coin}`;
+
+    if (coin !== coin.toUpperCase() || !isObject(settings)) {
+      errors.push(`${file}: "${coinPath}" must be an upper-case coin with an object value`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (CONFIG_SCHEMA[key]?.scope !== "coin") {
+        errors.push(`${file}: "${coinPath}.${key}" can not be set per coin`);
+        continue;
+      }
+      values.set(`${key}_${coin}`, { value, path: `${coinPath}.${key}` });
+    }
+  }
+
+  return { values, errors };
+}
+
+// Every problem in file + env at once, as "source path: message (got value)".
+function validateConfig(values) {
+  const errors = [];
+  const report = (source, path, raw, error) =>
+    errors.push(`${source} ${path}: ${error} (got ${JSON.stringify(raw)})`);
+
+  for (const [key, { value, path }] of values) {
+    const { error } = parseConfigValue(matchConfigKey(key).spec, value);
+    if (error) report(CONFIG_FILE, path, value, error);
+  }
+
+  for (const [key, raw] of Object.entries(process.env)) {
+    if (raw === "" || values.has(key)) continue;
+
+    const match = matchConfigKey(key);
+    if (!match || (match.spec.aliases?.includes(key) && values.has(match.name))) continue;
+
+    const { error } = parseConfigValue(match.spec, raw);
+    if (error) report("env", key, raw, error);
+  }
+
+  if (errors.length > 0) return errors;
+
+  // Cross-setting rules run on the values the candidate config would resolve to.
+  const previous = fileConfig;
+  fileConfig = values;
+
+  try {
+    if (
+      getSetting("TRAILING_ENABLED") &&
+      !(getSetting("TRAILING_GIVEBACK") > 0) &&
+      !(getSetting("TRAILING_GIVEBACK_PERCENT") > 0)
+    ) {
+      errors.push("TRAILING_ENABLED needs TRAILING_GIVEBACK or TRAILING_GIVEBACK_PERCENT > 0");
+    }
+
+    // Top-ups move USDT only, against the USDT reserve rule.
+    const reserveCoins = parseReserveCoins(getSetting("RESERVE_COINS"));
+    if (getSetting("TOPUP_FLOOR") > 0 && !reserveCoins.includes("USDT")) {
+      errors.push("TOPUP_FLOOR needs USDT in RESERVE_COINS");
+    }
+
+    // A target above the reserve would be swept straight back to FUND on the next check.
+    const reserve = readSymbolNumberSetting(
+      "UTA_RESERVE_BALANCE",
+      "USDT",
+      getSetting("UTA_RESERVE_BALANCE")
+    );
+    const topUpTarget = getSetting("TOPUP_TARGET") || reserve;
+    if (getSetting("TOPUP_FLOOR") > 0 && topUpTarget > reserve) {
+      errors.push(`TOPUP_TARGET ${topUpTarget} must not be above UTA_RESERVE_BALANCE ${reserve}`);
+    }
+    if (getSetting("TOPUP_FLOOR") > topUpTarget) {
+      errors.push(`TOPUP_FLOOR must not be above the top-up target (${topUpTarget})`);
+    }
+  } finally {
+    fileConfig = previous;
+  }
+
+  return errors;
+}
+
+const startupConfig = readConfigFile(CONFIG_FILE);
+const startupConfigErrors = [...startupConfig.errors, ...validateConfig(startupConfig.values)];
+
+if (startupConfigErrors.length > 0) {
+  throw new Error(`Invalid configuration:\n  - ${startupConfigErrors.join("\n  - ")}`);
+}
+
+fileConfig = startupConfig.values;
+
 // ================= CONFIG =================
 const API_KEY = process.env.API_KEY;
 const API_SECRET = process.env.API_SECRET;
 
-const SYMBOL = process.env.SYMBOL || "BTCUSDT";
-const MAX_LOSS = Number(process.env.MAX_LOSS ?? -70);
-const TAKE_PROFIT = Number(process.env.TAKE_PROFIT ?? 90);
+const SYMBOL = getSetting("SYMBOL");
+
+/**
+ * SYMBOLS:
+ * - comma separated list, e.g. BTCUSDT,ETHUSDT
+ * - ALL = every linear position on the account settled in POSITION_SETTLE_COIN
+ * Falls back to SYMBOL when unset.
+ *
+ * Per-symbol thresholds: MAX_LOSS_<SYMBOL> / TAKE_PROFIT_<SYMBOL>
+ * (e.g. MAX_LOSS_ETHUSDT=-40). Unset symbols use MAX_LOSS / TAKE_PROFIT.
+ * Hedge-mode legs can be tuned further with a _BUY / _SELL suffix
+ * (e.g. TAKE_PROFIT_BTCUSDT_SELL=60).
+ */
+const SYMBOLS_SETTING = String(getSetting("SYMBOLS") || SYMBOL).trim().toUpperCase();
+const WATCH_ALL_SYMBOLS = SYMBOLS_SETTING === "ALL";
+const SYMBOLS = WATCH_ALL_SYMBOLS
+  ? []
+  : [...new Set(SYMBOLS_SETTING.split(",").map((s) => s.trim()).filter(Boolean))];
+const POSITION_SETTLE_COIN = getSetting("POSITION_SETTLE_COIN").toUpperCase();
+const SYMBOLS_LABEL = WATCH_ALL_SYMBOLS ? `ALL (${POSITION_SETTLE_COIN})` : SYMBOLS.join(",");
+
+let MAX_LOSS = getSetting("MAX_LOSS");
+let TAKE_PROFIT = getSetting("TAKE_PROFIT");
+
+/**
+ * THRESHOLD_TYPE (per-symbol override: THRESHOLD_TYPE_<SYMBOL>):
+ * - pnl   = MAX_LOSS / TAKE_PROFIT are unrealised PnL in USDT
+ * - roe   = MAX_LOSS / TAKE_PROFIT are return on initial margin in % (unrealisedPnl / positionIM)
+ * - move  = MAX_LOSS / TAKE_PROFIT are % move from avgPrice to markPrice in the position's favour
+ * - price = close when markPrice crosses STOP_LOSS_PRICE / TAKE_PROFIT_PRICE
+ *           (normally set per symbol, e.g. STOP_LOSS_PRICE_BTCUSDT=58000)
+ */
+let THRESHOLD_TYPE = getSetting("THRESHOLD_TYPE");
+const THRESHOLD_TYPE_UNITS = {
+  pnl: "USDT",
+  roe: "% ROE",
+  move: "% move",
+  price: "price",
+};
+let STOP_LOSS_PRICE = getSetting("STOP_LOSS_PRICE");
+let TAKE_PROFIT_PRICE = getSetting("TAKE_PROFIT_PRICE");
+
+/**
+ * POSITION_MODE:
+ * - auto   = detect from positionIdx in position data (0 = one-way, 1/2 = hedge)
+ * - oneway = always close with positionIdx 0
+ * - hedge  = Buy leg is positionIdx 1, Sell leg is positionIdx 2
+ */
+const POSITION_MODE = getSetting("POSITION_MODE");
+
+// ================= TAKE PROFIT LADDER CONFIG =================
+/**
+ * TAKE_PROFIT_LADDER (per-symbol override: TAKE_PROFIT_LADDER_<SYMBOL>):
+ * comma separated "level:percent" rungs, e.g. "40:30,70:30,90:rest"
+ * - level   = value in the THRESHOLD_TYPE unit (USDT PnL for pnl and price)
+ * - percent = % of the size the position had when first seen, or "rest" for whatever is left
+ * Each rung fires once per position. Quantities are rounded down to the instrument qtyStep.
+ * Fixed TAKE_PROFIT / trailing still apply to anything the ladder leaves open.
+ */
+let TAKE_PROFIT_LADDER = parseTakeProfitLadder(getSetting("TAKE_PROFIT_LADDER").trim());
+
+// ================= BREAK-EVEN CONFIG =================
+/**
+ * Once a position reaches BREAK_EVEN_TRIGGER (THRESHOLD_TYPE unit, 0 = off) its loss limit
+ * moves from MAX_LOSS to break-even: it is closed when unrealised PnL falls back to
+ * BREAK_EVEN_BUFFER USDT (a small positive buffer covers the closing fees).
+ * Both accept the same _<SYMBOL> / _<SYMBOL>_<SIDE> overrides as MAX_LOSS.
+ */
+let BREAK_EVEN_TRIGGER = getSetting("BREAK_EVEN_TRIGGER");
+let BREAK_EVEN_BUFFER = getSetting("BREAK_EVEN_BUFFER");
+
+// ================= TRAILING CONFIG =================
+/**
+ * Trailing mode replaces the fixed TAKE_PROFIT:
+ * - arms once PnL reaches TRAILING_ACTIVATION_PNL (default: the symbol's TAKE_PROFIT)
+ * - tracks the peak PnL of the position from then on
+ * - closes when PnL gives back TRAILING_GIVEBACK and/or TRAILING_GIVEBACK_PERCENT
+ *   of the peak (whichever is hit first)
+ * Values are in the unit of THRESHOLD_TYPE (USDT for pnl and price, % for roe and move).
+ * All three accept the same _<SYMBOL> / _<SYMBOL>_<SIDE> overrides as MAX_LOSS.
+ */
+let TRAILING_ENABLED = getSetting("TRAILING_ENABLED");
+let TRAILING_ACTIVATION_PNL = getSetting("TRAILING_ACTIVATION_PNL");
+let TRAILING_GIVEBACK = getSetting("TRAILING_GIVEBACK");
+let TRAILING_GIVEBACK_PERCENT = getSetting("TRAILING_GIVEBACK_PERCENT");
+
+// Public tickers stream: thresholds are also evaluated on every mark-price tick, with PnL
+// recomputed locally from the cached avgPrice/size/side. Exchange-reported PnL (position topic,
+// REST) is only compared against it; drift above PNL_RECONCILE_TOLERANCE USDT is logged.
+const MARK_PRICE_STREAM_ENABLED = getSetting("MARK_PRICE_STREAM_ENABLED");
+let PNL_RECONCILE_TOLERANCE = getSetting("PNL_RECONCILE_TOLERANCE");
+const MARK_PRICE_STALE_MS = 5000;
+const PUBLIC_WS_STALE_MS = 30000;
 
 const FAST_INTERVAL = 2000;
 const SLOW_INTERVAL = 10000;
 let currentInterval = SLOW_INTERVAL;
 
-const RECV_WINDOW = "5000";
-const POSITION_CACHE_TTL = 3000;
-const CLOSE_VERIFY_RETRIES = 10;
-const CLOSE_VERIFY_DELAY = 1000;
+const RECV_WINDOW = String(getSetting("RECV_WINDOW"));
+// Every Bybit REST call: one timeout, and how many times an idempotent call (GETs, trading-stop)
+// is retried after a network error, 5xx or rate limit. Order and transfer POSTs never retry here
+// (transfers retry through the transfer ledger, with the same transferId).
+const HTTP_TIMEOUT_MS = getSetting("HTTP_TIMEOUT_MS");
+const REST_MAX_RETRIES = getSetting("REST_MAX_RETRIES");
+const REST_RETRY_DELAY_MS = 500;
+// Share of each endpoint's rate limit kept back from normal calls (twice that from background
+// reads such as balances and transfers) so closes and their verification never run dry.
+const REST_QUOTA_RESERVE_PERCENT = getSetting("REST_QUOTA_RESERVE_PERCENT");
+const CLOCK_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+const POSITION_CACHE_TTL = getSetting("POSITION_CACHE_TTL");
+const CLOSE_VERIFY_RETRIES = getSetting("CLOSE_VERIFY_RETRIES");
+// CLOSE_VERIFY_DELAY_MS, or CLOSE_VERIFY_DELAY as older .env files name it.
+const CLOSE_VERIFY_DELAY = getSetting("CLOSE_VERIFY_DELAY_MS");
+
+// Trade WS order.create: how long to wait for the matching ack before falling back to REST,
+// and how long a request may sit in the outbound queue while the socket (re)authenticates.
+const TRADE_WS_ACK_TIMEOUT_MS = getSetting("TRADE_WS_ACK_TIMEOUT_MS");
+const TRADE_WS_QUEUE_TTL_MS = getSetting("TRADE_WS_QUEUE_TTL_MS");
+
+// Extra reduce-only rounds for whatever is left after a close fails verification, alternating
+// WS and REST. When they all fail the position is flagged for manual attention.
+const CLOSE_ESCALATION_ROUNDS = getSetting("CLOSE_ESCALATION_ROUNDS");
+
+// ================= DAILY LOSS CONFIG =================
+/**
+ * DAILY_MAX_LOSS: realized PnL limit per UTC day in USDT (negative, 0 = off).
+ * Realized PnL comes from /v5/position/closed-pnl, refreshed every DAILY_PNL_REFRESH_MS
+ * and shortly after every closing execution on the watched symbols.
+ * Once hit, the bot is locked out until the next UTC day or a manual reset: every open
+ * position on the watched symbols is closed as soon as it is seen.
+ * DAILY_LOSS_RESET=true clears a persisted lockout on startup.
+ */
+const DAILY_MAX_LOSS = getSetting("DAILY_MAX_LOSS");
+const DAILY_PNL_REFRESH_MS = getSetting("DAILY_PNL_REFRESH_MS");
+const DAILY_PNL_EXECUTION_DELAY_MS = 2000;
+const DAILY_LOSS_RESET =
+  String(process.env.DAILY_LOSS_RESET ?? "false").toLowerCase() === "true";
+
+// ================= EXCHANGE TP/SL CONFIG =================
+/**
+ * EXCHANGE_TPSL_ENABLED: mirror MAX_LOSS / TAKE_PROFIT (or STOP_LOSS_PRICE / TAKE_PROFIT_PRICE)
+ * onto the position as exchange-side stop-loss / take-profit via /v5/position/trading-stop,
+ * so it stays protected if the bot dies. Re-synced when a leg opens, changes size, or its
+ * thresholds change. The bot's own closes remain the primary exit: both levels are pushed
+ * EXCHANGE_TPSL_BUFFER_PERCENT (of entry price) beyond the bot's thresholds.
+ * No exchange take-profit is set while trailing is on, the bot manages that exit itself.
+ */
+let EXCHANGE_TPSL_ENABLED = getSetting("EXCHANGE_TPSL_ENABLED");
+let EXCHANGE_TPSL_BUFFER_PERCENT = getSetting("EXCHANGE_TPSL_BUFFER_PERCENT");
+let EXCHANGE_TPSL_TRIGGER_BY = getSetting("EXCHANGE_TPSL_TRIGGER_BY");
+// Position pushes can still carry the old levels for a moment after our own update.
+const EXCHANGE_TPSL_SETTLE_MS = 3000;
+const EXCHANGE_TPSL_RETRY_MS = 30000;
+
+// ================= JOURNAL CONFIG =================
+/**
+ * Append-only JSONL event journal: threshold triggers, close requests and acks,
+ * close verification results and internal transfers. Query it with `npm run journal`.
+ */
+const JOURNAL_ENABLED = getSetting("JOURNAL_ENABLED");
+const JOURNAL_FILE = process.env.JOURNAL_FILE || "bot-journal.jsonl";
+
+// ================= REPLAY CONFIG =================
+/**
+ * REPLAY_FILE switches the process into an offline backtest of the exit rules: no sockets,
+ * no orders, no Telegram. The file is either
+ * - JSONL of recorded position-stream messages (POSITION_RECORD_FILE writes these live), or
+ * - JSON { trades: [{ symbol, side, entryPrice, size, leverage, klines }] } where klines are
+ *   Bybit /v5/market/kline rows [startTime, open, high, low, close, ...].
+ * REPLAY_GRID: extra "takeProfit:maxLoss" pairs to compare, e.g. "60:-40,90:-70,120:-70"
+ * (price levels "takeProfitPrice:stopLossPrice" for THRESHOLD_TYPE=price). The env config
+ * always runs first as the baseline.
+ */
+const REPLAY_FILE = process.env.REPLAY_FILE || "";
+const REPLAY_GRID = process.env.REPLAY_GRID || "";
+const REPLAY_QTY_STEP = String(process.env.REPLAY_QTY_STEP || "0.001");
+const REPLAY_VERBOSE = String(process.env.REPLAY_VERBOSE ?? "false").toLowerCase() === "true";
+const POSITION_RECORD_FILE = process.env.POSITION_RECORD_FILE || "";
+
+// Small JSON file for state that must survive restarts (daily loss lockout).
+const BOT_STATE_FILE = process.env.BOT_STATE_FILE || "bot-state.json";
 
 // ================= TRANSFER CONFIG =================
-const TRANSFER_AMOUNT = Number(process.env.TRANSFER_AMOUNT ?? 100); // Default 100 USDT
-const TRANSFER_INTERVAL_MS = 60 * 60 * 1000; // 60 minutes in milliseconds
+/**
+ * FUND -> UTA top-ups are decided on every reserve check: only while the UTA USDT
+ * availableToWithdraw is below TOPUP_FLOOR, and only enough to reach TOPUP_TARGET (default the
+ * USDT reserve target; at most its UTA_RESERVE_BALANCE, so the excess sweep never sends it
+ * back). Each transfer is capped by TRANSFER_AMOUNT, the USDT FUND has available and
+ * TOPUP_DAILY_CAP per UTC day (0 = no cap). No top-ups during a daily loss lockout.
+ * TOPUP_FLOOR=0 turns top-ups off.
+ */
+let TRANSFER_AMOUNT = getSetting("TRANSFER_AMOUNT"); // Default 100 USDT
+let TOPUP_FLOOR = getSetting("TOPUP_FLOOR");
+let TOPUP_TARGET = getSetting("TOPUP_TARGET");
+let TOPUP_DAILY_CAP = getSetting("TOPUP_DAILY_CAP");
+
+/**
+ * Every transfer is written to TRANSFER_LEDGER_FILE before it is sent and keeps its transferId
+ * for up to TRANSFER_MAX_ATTEMPTS tries, so Bybit can never apply it twice. A timeout or 5xx is
+ * looked up on the exchange transfer list before any retry; a transfer whose outcome is still
+ * unknown holds back new ones until the reconciler (every TRANSFER_RECONCILE_INTERVAL_MS)
+ * settles it. The reconciler also reports transfers on the account the bot did not make.
+ */
+const TRANSFER_LEDGER_FILE = process.env.TRANSFER_LEDGER_FILE || "transfer-ledger.json";
+const TRANSFER_MAX_ATTEMPTS = getSetting("TRANSFER_MAX_ATTEMPTS");
+const TRANSFER_RECONCILE_INTERVAL_MS = getSetting("TRANSFER_RECONCILE_INTERVAL_MS");
+// Bybit lists transfers up to 7 days back; settled ledger entries older than that are dropped.
+const TRANSFER_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+// A pending transfer still missing from the exchange list this long after its last try failed.
+const TRANSFER_NOT_FOUND_MS = 5 * 60 * 1000;
 
 // ================= NEW RESERVE CONFIG =================
-const UTA_RESERVE_BALANCE = Number(process.env.UTA_RESERVE_BALANCE ?? 501);
-const RESERVE_CHECK_INTERVAL_MS = Number(
-  process.env.RESERVE_CHECK_INTERVAL_MS ?? 60 * 1000
-);
-const RESERVE_TRANSFER_MIN_AMOUNT = Number(
-  process.env.RESERVE_TRANSFER_MIN_AMOUNT ?? 0.01
-);
+/**
+ * One reserve rule per coin in RESERVE_COINS: keep the larger of UTA_RESERVE_BALANCE_<COIN>
+ * and UTA_RESERVE_PERCENT_<COIN>% of total equity in UTA, and sweep anything above it to FUND.
+ * The unprefixed UTA_RESERVE_BALANCE / UTA_RESERVE_PERCENT apply to coins without their own.
+ * UTA holdings are measured as availableToWithdraw, so a sweep never touches margin. Total
+ * equity is the UTA totalEquity plus the reserve coins held in FUND, which a sweep leaves
+ * unchanged. E.g. UTA_RESERVE_PERCENT=20 with UTA_RESERVE_BALANCE=300: 20%, at least 300.
+ * Coins are valued at the USD price UTA reports for them; USD stablecoins count 1:1 without
+ * one, and a percentage rule that needs the price of any other coin is skipped until UTA holds
+ * some of it.
+ */
+let RESERVE_COINS = parseReserveCoins(getSetting("RESERVE_COINS"));
+const USD_STABLECOINS = ["USDT", "USDC", "USDE", "DAI", "FDUSD"];
+let UTA_RESERVE_BALANCE = getSetting("UTA_RESERVE_BALANCE");
+let UTA_RESERVE_PERCENT = getSetting("UTA_RESERVE_PERCENT");
+const RESERVE_CHECK_INTERVAL_MS = getSetting("RESERVE_CHECK_INTERVAL_MS");
+let RESERVE_TRANSFER_MIN_AMOUNT = getSetting("RESERVE_TRANSFER_MIN_AMOUNT");
 
 // ================= NEW FAST RESERVE WS CONFIG =================
-const RESERVE_FAST_TRANSFER_DELAY_MS = Number(
-  process.env.RESERVE_FAST_TRANSFER_DELAY_MS ?? 1000
-);
+const RESERVE_FAST_TRANSFER_DELAY_MS = getSetting("RESERVE_FAST_TRANSFER_DELAY_MS");
 
 /**
  * TRADE_MODE:
@@ -46,19 +657,42 @@ const RESERVE_FAST_TRANSFER_DELAY_MS = Number(
  * - demo    = bybit demo trading
  * - testnet = bybit testnet
  */
-const TRADE_MODE = String(process.env.TRADE_MODE || "mainnet").toLowerCase();
+const TRADE_MODE = getSetting("TRADE_MODE");
 
-const FORCE_REST_CLOSE_ON_DEMO =
-  String(process.env.FORCE_REST_CLOSE_ON_DEMO ?? "true").toLowerCase() === "true";
+const FORCE_REST_CLOSE_ON_DEMO = getSetting("FORCE_REST_CLOSE_ON_DEMO");
+
+/**
+ * DRY_RUN=true: shadow mode. Every decision runs on live market and account data, but close
+ * orders and transfers are only logged and journaled (type "dry_run") with the exact payload.
+ * Telegram messages are tagged with DRY_RUN_TAG.
+ */
+const DRY_RUN = getSetting("DRY_RUN");
+const DRY_RUN_TAG = "ðŸ§ª [DRY RUN - NO ORDERS SENT]";
 
 // ================= TELEGRAM CONFIG =================
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || "";
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || "";
 const TELEGRAM_LOGS_ENABLED =
   String(process.env.TELEGRAM_LOGS_ENABLED ?? "true").toLowerCase() === "true";
-const TELEGRAM_HEARTBEAT_MINUTES = Number(process.env.TELEGRAM_HEARTBEAT_MINUTES ?? 10);
+const TELEGRAM_HEARTBEAT_MINUTES = getSetting("TELEGRAM_HEARTBEAT_MINUTES");
 const TELEGRAM_SILENT =
   String(process.env.TELEGRAM_SILENT ?? "false").toLowerCase() === "true";
+// Prefixed to every message; account workers get [NAME] unless <NAME>_TELEGRAM_TAG is set.
+const TELEGRAM_TAG = process.env.TELEGRAM_TAG || "";
+
+/**
+ * Inbound commands (/status, /close, /settp ...) via getUpdates long polling.
+ * Only messages from TELEGRAM_CHAT_ID are accepted; TELEGRAM_ALLOWED_USER_IDS
+ * (comma separated) further limits which users in that chat may send them.
+ */
+const TELEGRAM_COMMANDS_ENABLED =
+  String(process.env.TELEGRAM_COMMANDS_ENABLED ?? "false").toLowerCase() === "true";
+const TELEGRAM_ALLOWED_USER_IDS = String(process.env.TELEGRAM_ALLOWED_USER_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+const TELEGRAM_POLL_TIMEOUT_SEC = 25;
+const TELEGRAM_CONFIRM_TTL_MS = 60 * 1000;
 
 let telegramHeartbeat = null;
 let lastTelegramMessageAt = 0;
@@ -66,40 +700,145 @@ const TELEGRAM_MIN_GAP_MS = 10000;
 const telegramQueue = [];
 let telegramSending = false;
 
+// ================= HTTP API CONFIG =================
+/**
+ * Optional status/control server (/healthz, /readyz, /state, /metrics and POST controls).
+ * GET endpoints are open, POST endpoints need
+ * "Authorization: Bearer <HTTP_API_TOKEN>" and are disabled while no token is set.
+ * Port: HTTP_API_PORT, then Render's PORT, then 3000.
+ */
+const HTTP_API_ENABLED =
+  String(process.env.HTTP_API_ENABLED ?? "false").toLowerCase() === "true";
+const HTTP_API_PORT = Number(process.env.HTTP_API_PORT || process.env.PORT || 3000);
+const HTTP_API_HOST = process.env.HTTP_API_HOST || "0.0.0.0";
+const HTTP_API_TOKEN = process.env.HTTP_API_TOKEN || "";
+const WATCHDOG_STALE_MS = 60 * 1000;
+
+// ================= ACCOUNTS CONFIG =================
+/**
+ * ACCOUNTS=MAIN,SUB1,SUB2 runs one bot per account side by side in this process, each in its
+ * own worker thread with its own connections and state, so a crash or a bad setting in one
+ * account never stops the others (a failed account is restarted with backoff).
+ * Per-account env vars carry the account name as a prefix (MAIN_API_KEY, SUB1_TAKE_PROFIT,
+ * SUB1_UTA_RESERVE_BALANCE, SUB1_BYBIT_REST_URL, ...) and win over the shared unprefixed
+ * value. Every account needs its own <NAME>_API_KEY / <NAME>_API_SECRET.
+ * - state, journal and config files default to per-account names (bot-state.sub1.json, ...)
+ * - Telegram messages are tagged [NAME] and the heartbeat is one message for every account
+ * - Telegram commands and the HTTP API stay with the first account on a given bot token / port
+ */
+const ACCOUNT_NAMES = [
+  ...new Set(
+    String(process.env.ACCOUNTS || "")
+      .split(",")
+      .map((name) => name.trim().toUpperCase())
+      .filter(Boolean)
+  ),
+];
+// Set by the supervisor in each account's worker.
+const ACCOUNT_NAME = process.env.ACCOUNT_NAME || "";
+const RUN_ACCOUNTS = isMainThread && ACCOUNT_NAMES.length > 0 && !REPLAY_FILE;
+
+// File settings that get the account name inserted before the extension unless set per account.
+const ACCOUNT_FILE_SETTINGS = {
+  BOT_STATE_FILE: "bot-state.json",
+  JOURNAL_FILE: "bot-journal.jsonl",
+  CONFIG_FILE: "bot-config.json",
+  TRANSFER_LEDGER_FILE: "transfer-ledger.json",
+  POSITION_RECORD_FILE: "",
+};
+// First words of the env-only settings; an account named like one would swallow them.
+const RESERVED_ACCOUNT_NAMES = [
+  "ACCOUNT",
+  "API",
+  "BOT",
+  "BYBIT",
+  "CONFIG",
+  "HTTP",
+  "JOURNAL",
+  "POSITION",
+  "REPLAY",
+  "TELEGRAM",
+  "TRANSFER",
+];
+const ACCOUNT_RESTART_MIN_MS = 5000;
+const ACCOUNT_RESTART_MAX_MS = 5 * 60 * 1000;
+// A worker that stayed up this long starts its restart backoff over.
+const ACCOUNT_STABLE_MS = 10 * 60 * 1000;
+const ACCOUNT_HEARTBEAT_TIMEOUT_MS = 5000;
+
 // ================= ENV URLS =================
+// BYBIT_*_URL override the TRADE_MODE defaults, e.g. to point at the local mock (npm run mock).
 const HTTP_BASE_URL =
-  TRADE_MODE === "testnet"
+  process.env.BYBIT_REST_URL ||
+  (TRADE_MODE === "testnet"
     ? "https://api-testnet.bybit.com"
     : TRADE_MODE === "demo"
     ? "https://api-demo.bybit.com"
-    : "https://api.bybit.com";
+    : "https://api.bybit.com");
 
 const PRIVATE_WS_URL =
-  TRADE_MODE === "testnet"
+  process.env.BYBIT_PRIVATE_WS_URL ||
+  (TRADE_MODE === "testnet"
     ? "wss://stream-testnet.bybit.com/v5/private"
     : TRADE_MODE === "demo"
     ? "wss://stream-demo.bybit.com/v5/private"
-    : "wss://stream.bybit.com/v5/private";
+    : "wss://stream.bybit.com/v5/private");
 
 const TRADE_WS_URL =
-  TRADE_MODE === "testnet"
+  process.env.BYBIT_TRADE_WS_URL ||
+  (TRADE_MODE === "testnet"
     ? "wss://stream-testnet.bybit.com/v5/trade"
-    : "wss://stream.bybit.com/v5/trade";
+    : "wss://stream.bybit.com/v5/trade");
+
+// Demo trading has no public stream of its own; it runs on mainnet market data.
+const PUBLIC_WS_URL =
+  process.env.BYBIT_PUBLIC_WS_URL ||
+  (TRADE_MODE === "testnet"
+    ? "wss://stream-testnet.bybit.com/v5/public/linear"
+    : "wss://stream.bybit.com/v5/public/linear");
 
 // ================= VALIDATION =================
-if (!API_KEY || !API_SECRET) {
+if (RUN_ACCOUNTS) {
+  const accountProblems = getAccountProblems();
+  if (accountProblems.length > 0) {
+    throw new Error(`Invalid ACCOUNTS:\n  - ${accountProblems.join("\n  - ")}`);
+  }
+} else if (!REPLAY_FILE && (!API_KEY || !API_SECRET)) {
   throw new Error("Missing API_KEY or API_SECRET in .env");
 }
 
-if (!["mainnet", "demo", "testnet"].includes(TRADE_MODE)) {
-  throw new Error("TRADE_MODE must be one of: mainnet, demo, testnet");
+// Value ranges and enums are checked against CONFIG_SCHEMA before any of the above is read.
+if (!WATCH_ALL_SYMBOLS && SYMBOLS.length === 0) {
+  throw new Error("SYMBOLS must be ALL or a comma separated list of symbols");
 }
 
 // ================= STATE =================
 let running = true;
-let isExecuting = false;
-let isClosing = false;
+const executingSymbols = new Set();
+const closingPositions = new Set();
 let isReserveMaintaining = false;
+let exitsPaused = false;
+let lastWatchdogTickAt = 0;
+let lastCloseResult = null;
+
+// Thresholds changed at runtime (/settp, /setsl). Key "*" applies to every symbol.
+const runtimeThresholdOverrides = new Map();
+
+// DRY_RUN: legs already "closed" in the shadow. Stops the same full close being logged every
+// tick while the real position stays open; cleared with the rest of the exit state.
+const shadowClosedPositions = new Set();
+
+// "<symbol>:<positionIdx>" -> { symbol, positionIdx, side, reason, attempts, size, since }.
+// Set when close escalation gives up; automatic exits skip the leg until an operator clears it.
+const manualAttention = new Map();
+
+// "<symbol>:<positionIdx>" -> { size, stopLoss, takeProfit, setAt, manualKey, failedKey, failedAt }
+// Levels last set on the exchange by the bot (0 = none). Dropped when the leg goes flat.
+const exchangeTpSlState = new Map();
+const exchangeTpSlInFlight = new Set();
+
+// token -> { description, action, expiresAt } for inline-keyboard confirmations
+const pendingTelegramConfirmations = new Map();
 
 let privateWs = null;
 let tradeWs = null;
@@ -110,22 +849,212 @@ let tradeReady = false;
 let privateHeartbeat = null;
 let tradeHeartbeat = null;
 
-let latestPosition = null;
-let latestPositionUpdatedAt = 0;
+let publicWs = null;
+let publicReady = false;
+let publicHeartbeat = null;
+let publicLastMessageAt = 0;
+// symbol -> { markPrice, updatedAt } from the tickers stream
+const latestMarkPrices = new Map();
+const tickerSubscriptions = new Set();
+// "<symbol>:<positionIdx>" -> last time a ticker-driven PnL line was logged
+const lastTickLogAt = new Map();
+
+// "<symbol>:<positionIdx>" -> { position, updatedAt }. Only open positions are kept.
+const positionCache = new Map();
+let positionListSyncedAt = 0;
+let detectedPositionMode = POSITION_MODE === "auto" ? null : POSITION_MODE;
+
+// "<symbol>:<positionIdx>" -> { side, peak, trailingActive, originalSize, firedRungs, skippedRungs,
+// breakEvenEntryPrice }.
+// Not tied to positionCache so it survives cache expiry and WS reconnects.
+const positionExitState = new Map();
+
+// ================= DAILY LOSS STATE =================
+// baselinePnl moves to the current realized PnL on a manual reset, so only new losses count.
+let dailyLossState = {
+  day: null,
+  realizedPnl: 0,
+  baselinePnl: 0,
+  lockout: false,
+  lockedAt: null,
+  updatedAt: 0,
+};
+let dailyPnlRefreshTimer = null;
+let isDailyPnlRefreshing = false;
+
+// ================= TOP-UP STATE =================
+// USDT moved FUND -> UTA by the top-up policy this UTC day, persisted for TOPUP_DAILY_CAP.
+let topUpState = { day: null, transferred: 0 };
+// "decision:reason[:amount]" last reported, so an unchanged decision is not repeated every check.
+let lastTopUpDecision = null;
+
+// ================= TRANSFER LEDGER STATE =================
+// transferId -> { transferId, origin: "bot" | "external", function, direction, coin, amount,
+//   fromAccountType, toAccountType, topUp, status: "pending" | "success" | "failed", attempts,
+//   createdAt, updatedAt } with times on the exchange clock
+let transferLedger = new Map();
+// Exchange time up to which the transfer list was checked for transfers the bot did not make.
+let transfersReconciledAt = null;
+let isReconcilingTransfers = false;
 
 // ================= NEW FAST RESERVE STATE =================
-let latestUtaUsdtWalletBalance = null;
-let latestUtaUsdtWalletBalanceUpdatedAt = 0;
+// Last UTA wallet seen on REST or the wallet stream: { totalEquity, coins, updatedAt } with
+// coins: coin -> { walletBalance, available (availableToWithdraw, null if not reported), price }
+let latestUtaWallet = null;
+// coin -> FUND walletBalance of the reserve coins, from the last reserve check
+let latestFundBalances = {};
 let reserveFastTransferTimer = null;
 
+// Outbound queue while the trade WS is connecting: { payload, expiresAt, resolve, reject, timer }
 const pendingTradeRequests = [];
+// reqId -> { resolve, reject, timer, sentAt, order } for requests sent and waiting for their ack
+const inFlightTradeRequests = new Map();
+
+// ================= METRICS =================
+// Minimal Prometheus text-format registry, served on GET /metrics by the HTTP API.
+// name -> { type, help, series: Map(labelKey -> { labels, value | buckets/sum/count }) }
+const metrics = new Map();
+const HISTOGRAM_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30];
+
+function defineMetric(name, type, help) {
+  metrics.set(name, { type, help, series: new Map() });
+}
+
+function getMetricSeries(name, labels) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort());
+
+  if (!metric.series.has(key)) {
+    metric.series.set(
+      key,
+      metric.type === "histogram"
+        ? { labels, buckets: HISTOGRAM_BUCKETS.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 }
+    );
+  }
+
+  return metric.series.get(key);
+}
+
+function incMetric(name, labels = {}, value = 1) {
+  getMetricSeries(name, labels).value += value;
+}
+
+function setMetric(name, labels = {}, value = 0) {
+  getMetricSeries(name, labels).value = value;
+}
+
+function observeMetric(name, labels = {}, value = 0) {
+  const series = getMetricSeries(name, labels);
+
+  HISTOGRAM_BUCKETS.forEach((bucket, i) => {
+    if (value <= bucket) series.buckets[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+function renderMetrics() {
+  const lines = [];
+
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+
+      HISTOGRAM_BUCKETS.forEach((bucket, i) => {
+        lines.push(
+          `${name}_bucket${formatMetricLabels({ ...series.labels, le: bucket })} ${series.buckets[i]}`
+        );
+      });
+      lines.push(`${name}_bucket${formatMetricLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+defineMetric("bybit_bot_unrealised_pnl", "gauge", "Unrealised PnL in USDT per open position leg");
+defineMetric("bybit_bot_position_size", "gauge", "Position size per open position leg");
+defineMetric("bybit_bot_ws_connected", "gauge", "1 when the socket is authenticated and ready");
+defineMetric("bybit_bot_ws_reconnects_total", "counter", "WebSocket reconnects by socket");
+defineMetric("bybit_bot_close_attempts_total", "counter", "Close orders by transport and outcome");
+defineMetric(
+  "bybit_bot_close_verify_attempts_total",
+  "counter",
+  "Position reads made while verifying a close"
+);
+defineMetric(
+  "bybit_bot_close_verify_duration_seconds",
+  "histogram",
+  "Time from close sent to verification result"
+);
+defineMetric("bybit_bot_transfers_total", "counter", "Internal transfers by direction and outcome");
+defineMetric("bybit_bot_transfer_amount_total", "counter", "Coin moved by successful transfers");
+defineMetric("bybit_bot_transfers_unresolved", "gauge", "Bot transfers whose outcome is unknown");
+defineMetric(
+  "bybit_bot_external_transfers_total",
+  "counter",
+  "Transfers on the account the bot did not make"
+);
+defineMetric("bybit_bot_telegram_queue_depth", "gauge", "Messages waiting in the Telegram queue");
+defineMetric("bybit_bot_telegram_send_failures_total", "counter", "Failed Telegram API sends");
+defineMetric("bybit_bot_rest_errors_total", "counter", "Bybit REST errors by endpoint and retCode");
+defineMetric("bybit_bot_trade_ws_requests_total", "counter", "Trade WS requests by outcome");
+defineMetric("bybit_bot_close_escalations_total", "counter", "Close escalation rounds by transport");
+defineMetric("bybit_bot_manual_attention", "gauge", "Position legs flagged for manual attention");
+defineMetric(
+  "bybit_bot_pnl_reconcile_diff",
+  "gauge",
+  "Exchange-reported minus locally computed unrealised PnL at the last position update"
+);
+defineMetric("bybit_bot_clock_offset_ms", "gauge", "Bybit server time minus local time in ms");
+defineMetric("bybit_bot_rest_quota_remaining", "gauge", "Bybit rate limit left per REST endpoint");
+
+// Gauges that mirror live state are rebuilt on every scrape so closed legs disappear.
+function refreshStateMetrics() {
+  metrics.get("bybit_bot_unrealised_pnl").series.clear();
+  metrics.get("bybit_bot_position_size").series.clear();
+
+  for (const { position } of positionCache.values()) {
+    const labels = { symbol: position.symbol, position_idx: getPositionIdx(position) };
+    setMetric("bybit_bot_unrealised_pnl", labels, Number(position.unrealisedPnl || 0));
+    setMetric("bybit_bot_position_size", labels, Number(position.size || 0));
+  }
+
+  setMetric("bybit_bot_ws_connected", { socket: "private" }, privateReady ? 1 : 0);
+  setMetric("bybit_bot_ws_connected", { socket: "trade" }, tradeReady ? 1 : 0);
+  setMetric("bybit_bot_ws_connected", { socket: "public" }, publicReady ? 1 : 0);
+  setMetric("bybit_bot_telegram_queue_depth", {}, telegramQueue.length);
+  setMetric("bybit_bot_manual_attention", {}, manualAttention.size);
+}
+
+function countRestError(endpoint, retCode) {
+  incMetric("bybit_bot_rest_errors_total", { endpoint, ret_code: retCode ?? "unknown" });
+}
 
 // ================= LOGGING HELPERS =================
+// Account workers prefix their lines so the interleaved output of several accounts stays readable.
+const LOG_PREFIX = ACCOUNT_NAME ? [`[${ACCOUNT_NAME}]`] : [];
 const rawConsole = {
-  log: console.log.bind(console),
-  error: console.error.bind(console),
-  warn: console.warn.bind(console),
-  info: console.info.bind(console),
+  log: console.log.bind(console, ...LOG_PREFIX),
+  error: console.error.bind(console, ...LOG_PREFIX),
+  warn: console.warn.bind(console, ...LOG_PREFIX),
+  info: console.info.bind(console, ...LOG_PREFIX),
 };
 
 function formatLogArgs(args) {
@@ -158,14 +1087,33 @@ async function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+function tagTelegramText(text) {
+  const tagged = TELEGRAM_TAG ? `${TELEGRAM_TAG} ${text}` : text;
+  return DRY_RUN ? `${DRY_RUN_TAG}\n${tagged}` : tagged;
+}
+
 async function sendTelegram(message, options = {}) {
-  if (!TELEGRAM_LOGS_ENABLED) return;
+  if (!TELEGRAM_LOGS_ENABLED || REPLAY_FILE) return;
   if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
 
-  telegramQueue.push({
-    message,
+  const item = {
+    botToken: TELEGRAM_BOT_TOKEN,
+    chatId: TELEGRAM_CHAT_ID,
+    message: tagTelegramText(message),
     disableNotification: options.disableNotification ?? TELEGRAM_SILENT,
-  });
+  };
+
+  // Account workers hand their messages to the supervisor, so every account shares one queue.
+  if (!isMainThread) {
+    parentPort.postMessage({ type: "telegram", item });
+    return;
+  }
+
+  await enqueueTelegram(item);
+}
+
+async function enqueueTelegram(item) {
+  telegramQueue.push(item);
 
   if (telegramSending) return;
 
@@ -183,9 +1131,9 @@ async function sendTelegram(message, options = {}) {
         }
 
         await axios.post(
-          `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
+          `https://api.telegram.org/bot${item.botToken}/sendMessage`,
           {
-            chat_id: TELEGRAM_CHAT_ID,
+            chat_id: item.chatId,
             text: part,
             disable_notification: item.disableNotification,
           },
@@ -198,6 +1146,7 @@ async function sendTelegram(message, options = {}) {
       }
     }
   } catch (err) {
+    incMetric("bybit_bot_telegram_send_failures_total");
     rawConsole.error("TELEGRAM ERROR:", err.response?.data || err.message);
   } finally {
     telegramSending = false;
@@ -238,25 +1187,38 @@ function startTelegramHeartbeat() {
   const intervalMs = Math.max(1, TELEGRAM_HEARTBEAT_MINUTES) * 60 * 1000;
 
   telegramHeartbeat = setInterval(() => {
-    sendTelegram(
-      [
-        "ðŸ’“ BOT HEARTBEAT",
-        `SYMBOL: ${SYMBOL}`,
-        `MODE: ${TRADE_MODE}`,
-        `privateReady: ${privateReady}`,
-        `tradeReady: ${tradeReady}`,
-        `uptimeSec: ${Math.floor(process.uptime())}`,
-        `latestPositionUpdatedAt: ${latestPositionUpdatedAt || 0}`,
-        `UTA_RESERVE_BALANCE: ${UTA_RESERVE_BALANCE}`,
-        `latestUtaUsdtWalletBalance: ${
-          latestUtaUsdtWalletBalance === null ? "null" : latestUtaUsdtWalletBalance
-        }`,
-      ].join("\n"),
-      { disableNotification: true }
-    ).catch(() => {});
+    const heartbeat = RUN_ACCOUNTS
+      ? sendCombinedHeartbeat()
+      : sendTelegram(["ðŸ’“ BOT HEARTBEAT", ...buildHeartbeatLines()].join("\n"), {
+          disableNotification: true,
+        });
+    heartbeat.catch(() => {});
   }, intervalMs);
 }
 
+function buildHeartbeatLines() {
+  return [
+    `SYMBOLS: ${SYMBOLS_LABEL}`,
+    `MODE: ${TRADE_MODE}${DRY_RUN ? " (DRY RUN)" : ""}`,
+    `POSITION_MODE: ${formatPositionMode()}`,
+    `privateReady: ${privateReady}`,
+    `tradeReady: ${tradeReady}`,
+    `publicReady: ${publicReady}`,
+    `uptimeSec: ${Math.floor(process.uptime())}`,
+    `exitsPaused: ${exitsPaused}`,
+    `openPositions: ${formatOpenPositionsSummary()}`,
+    `thresholds: ${formatThresholdsSummary()}`,
+    `tpLadder: ${formatLadderSummary()}`,
+    `breakEven: ${formatBreakEvenSummary()}`,
+    `trailing: ${formatTrailingSummary()}`,
+    `dailyLoss: ${formatDailyLossSummary()}`,
+    `manualAttention: ${formatManualAttentionSummary()}`,
+    `reserve: ${formatReserveRules()}`,
+    `topUps: ${formatTopUpSummary()}`,
+    `utaAvailable/reserve: ${formatUtaReserveSummary()}`,
+  ];
+}
+
 // ================= HELPERS =================
 function hmacSha256(text) {
   return crypto.createHmac("sha256", API_SECRET).update(text).digest("hex");
@@ -279,866 +1241,4853 @@ function startHeartbeat(ws, label) {
 }
 
 function generateWsAuth() {
-  const expires = Date.now() + 10_000;
+  const expires = bybitNow() + 10_000;
   const signature = hmacSha256(`GET/realtime${expires}`);
   return { expires, signature };
 }
 
-function signRestGet(params) {
-  const query = Object.keys(params)
-    .sort()
-    .map((key) => `${key}=${params[key]}`)
-    .join("&");
-
-  return hmacSha256(query);
+function isWatchedSymbol(symbol) {
+  if (!symbol) return false;
+  return WATCH_ALL_SYMBOLS || SYMBOLS.includes(symbol);
 }
 
-function signRestPost(timestamp, bodyString) {
-  return hmacSha256(`${timestamp}${API_KEY}${RECV_WINDOW}${bodyString}`);
+function getWatchedSymbolPositions(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter((p) => isWatchedSymbol(p?.symbol));
 }
 
-// ===== NEW: V5 header-based GET signing (for wallet-balance) =====
-function buildSortedQueryString(params) {
-  return Object.keys(params)
-    .sort()
-    .map((key) => `${key}=${encodeURIComponent(params[key])}`)
-    .join("&");
+function isOpenPosition(pos) {
+  return Boolean(pos && Number(pos.size) > 0 && pos.side);
 }
 
-function signV5Get(timestamp, queryString) {
-  return hmacSha256(`${timestamp}${API_KEY}${RECV_WINDOW}${queryString}`);
-}
+function readSymbolNumberSetting(name, symbol, fallback, side = "") {
+  const keys = side
+    ? [`${name}_${symbol}_${side.toUpperCase()}`, `${name}_${symbol}`]
+    : [`${name}_${symbol}`];
 
-function getActiveSymbolPosition(list) {
-  if (!Array.isArray(list)) return null;
-  return list.find((p) => p.symbol === SYMBOL) || null;
-}
+  for (const key of keys) {
+    const raw = getConfigRaw(key);
+    if (raw === undefined || raw === "") continue;
 
-function flushPendingTradeRequests() {
-  while (pendingTradeRequests.length && tradeReady && tradeWs?.readyState === WebSocket.OPEN) {
-    tradeWs.send(JSON.stringify(pendingTradeRequests.shift()));
+    const value = Number(raw);
+    if (Number.isFinite(value)) return value;
   }
-}
-
-// ================= POSITION CACHE HELPERS =================
-// Additive fix only: these helpers are used by existing logic but were missing.
-function setLatestPosition(pos) {
-  latestPosition = pos;
-  latestPositionUpdatedAt = Date.now();
-}
 
-function clearLatestPosition() {
-  latestPosition = null;
-  latestPositionUpdatedAt = 0;
+  return fallback;
 }
 
-async function getPosition() {
-  const now = Date.now();
+function getSymbolThresholdType(symbol) {
+  const type = String(getConfigRaw(`THRESHOLD_TYPE_${symbol}`) || THRESHOLD_TYPE).toLowerCase();
 
-  if (
-    latestPosition &&
-    now - latestPositionUpdatedAt <= POSITION_CACHE_TTL &&
-    Number(latestPosition.size || 0) > 0 &&
-    latestPosition.side
-  ) {
-    return latestPosition;
+  if (!Object.hasOwn(THRESHOLD_TYPE_UNITS, type)) {
+    console.warn(`âš ï¸ Invalid THRESHOLD_TYPE_${symbol}=${type}, using ${THRESHOLD_TYPE}`);
+    return THRESHOLD_TYPE;
   }
 
-  const pos = await getPositionViaRest();
+  return type;
+}
 
-  if (!pos || Number(pos.size) <= 0 || !pos.side) {
-    clearLatestPosition();
-    return null;
-  }
+// Runtime overrides win over env: symbol override, then "*" override, then the env chain.
+function getSymbolThresholds(symbol, side = "") {
+  const runtime = {
+    ...runtimeThresholdOverrides.get("*"),
+    ...runtimeThresholdOverrides.get(symbol),
+  };
 
-  setLatestPosition(pos);
-  return pos;
+  return {
+    type: getSymbolThresholdType(symbol),
+    maxLoss: runtime.maxLoss ?? readSymbolNumberSetting("MAX_LOSS", symbol, MAX_LOSS, side),
+    takeProfit:
+      runtime.takeProfit ?? readSymbolNumberSetting("TAKE_PROFIT", symbol, TAKE_PROFIT, side),
+    stopLossPrice:
+      runtime.stopLossPrice ??
+      readSymbolNumberSetting("STOP_LOSS_PRICE", symbol, STOP_LOSS_PRICE, side),
+    takeProfitPrice:
+      runtime.takeProfitPrice ??
+      readSymbolNumberSetting("TAKE_PROFIT_PRICE", symbol, TAKE_PROFIT_PRICE, side),
+  };
 }
 
-// ================= NEW FAST RESERVE HELPERS =================
-function setLatestUTAUsdtWalletBalance(balance) {
-  const normalized = Number(balance);
-  if (!Number.isFinite(normalized)) return;
+function setRuntimeThreshold(symbol, field, value) {
+  const key = symbol || "*";
+  runtimeThresholdOverrides.set(key, { ...runtimeThresholdOverrides.get(key), [field]: value });
+}
+
+function formatThresholdRule(rule) {
+  if (rule.type === "price") {
+    return `price SL ${rule.stopLossPrice || "off"} / TP ${rule.takeProfitPrice || "off"}`;
+  }
 
-  latestUtaUsdtWalletBalance = normalized;
-  latestUtaUsdtWalletBalanceUpdatedAt = Date.now();
+  return `${rule.type} ${rule.maxLoss} / ${rule.takeProfit} ${THRESHOLD_TYPE_UNITS[rule.type]}`;
 }
 
-function extractUnifiedUsdtWalletBalanceFromWalletStream(data) {
-  if (!Array.isArray(data)) return null;
+function getTrailingConfig(symbol, side = "") {
+  if (!TRAILING_ENABLED) return null;
+
+  const { takeProfit } = getSymbolThresholds(symbol, side);
+
+  return {
+    activation: readSymbolNumberSetting(
+      "TRAILING_ACTIVATION_PNL",
+      symbol,
+      TRAILING_ACTIVATION_PNL ?? takeProfit,
+      side
+    ),
+    giveback: readSymbolNumberSetting("TRAILING_GIVEBACK", symbol, TRAILING_GIVEBACK, side),
+    givebackPercent: readSymbolNumberSetting(
+      "TRAILING_GIVEBACK_PERCENT",
+      symbol,
+      TRAILING_GIVEBACK_PERCENT,
+      side
+    ),
+  };
+}
 
-  for (const account of data) {
-    if (account?.accountType !== "UNIFIED") continue;
-    if (!Array.isArray(account.coin)) continue;
+// Throws on malformed input so a typo never silently disables the ladder.
+function parseTakeProfitLadder(raw) {
+  if (!raw) return [];
 
-    const usdtCoin = account.coin.find((c) => c?.coin === "USDT");
-    if (!usdtCoin) continue;
+  const rungs = raw.split(",").map((part) => {
+    const [levelRaw, percentRaw] = part.split(":").map((v) => String(v ?? "").trim());
+    const level = Number(levelRaw);
+    const rest = percentRaw.toLowerCase() === "rest";
+    const percent = rest ? 100 : Number(percentRaw);
 
-    const walletBalance = Number(usdtCoin.walletBalance || 0);
-    if (Number.isFinite(walletBalance)) {
-      return walletBalance;
+    if (!levelRaw || !Number.isFinite(level) || !(percent > 0) || percent > 100) {
+      throw new Error(`Invalid TAKE_PROFIT_LADDER rung "${part}" (expected level:percent or level:rest)`);
     }
-  }
 
-  return null;
-}
+    return { level, percent, rest };
+  });
 
-function clearReserveFastTransferTimer() {
-  if (reserveFastTransferTimer) {
-    clearTimeout(reserveFastTransferTimer);
-    reserveFastTransferTimer = null;
-  }
+  return rungs.sort((a, b) => a.level - b.level);
 }
 
-function scheduleFastReserveTransferCheck(reason = "wallet-stream") {
-  if (TRADE_MODE !== "mainnet") return;
+function getTakeProfitLadder(symbol) {
+  const raw = getConfigRaw(`TAKE_PROFIT_LADDER_${symbol}`);
+  if (raw === undefined || raw === "") return TAKE_PROFIT_LADDER;
 
-  clearReserveFastTransferTimer();
+  try {
+    return parseTakeProfitLadder(String(raw).trim());
+  } catch (err) {
+    console.warn(`âš ï¸ ${err.message} for ${symbol}, using default ladder`);
+    return TAKE_PROFIT_LADDER;
+  }
+}
 
-  reserveFastTransferTimer = setTimeout(async () => {
-    reserveFastTransferTimer = null;
+function getBreakEvenConfig(symbol, side = "") {
+  const trigger = readSymbolNumberSetting("BREAK_EVEN_TRIGGER", symbol, BREAK_EVEN_TRIGGER, side);
+  if (!(trigger > 0)) return null;
 
-    try {
-      console.log(
-        `âš¡ Fast reserve transfer check triggered (${reason}) after ${RESERVE_FAST_TRANSFER_DELAY_MS}ms`
-      );
-      await maintainUTAReserveBalance("wallet-fast-trigger");
-    } catch (err) {
-      console.error("FAST RESERVE TRANSFER CHECK ERROR:", err.message);
-    }
-  }, RESERVE_FAST_TRANSFER_DELAY_MS);
+  return {
+    trigger,
+    buffer: readSymbolNumberSetting("BREAK_EVEN_BUFFER", symbol, BREAK_EVEN_BUFFER, side),
+  };
 }
 
-function maybeTriggerFastReserveTransferFromWallet(balance, reason = "wallet-stream") {
-  if (!Number.isFinite(balance)) return;
+function formatBreakEvenSummary() {
+  if (!(BREAK_EVEN_TRIGGER > 0)) return "off";
+  return `trigger=${BREAK_EVEN_TRIGGER} buffer=${BREAK_EVEN_BUFFER} USDT`;
+}
 
-  const excess = roundDown(balance - UTA_RESERVE_BALANCE, 6);
+function formatLadderSummary(ladder = TAKE_PROFIT_LADDER) {
+  if (ladder.length === 0) return "off";
+  return ladder.map((r) => `${r.level}:${r.rest ? "rest" : `${r.percent}%`}`).join(", ");
+}
 
-  if (excess >= RESERVE_TRANSFER_MIN_AMOUNT) {
-    console.log(
-      `âš¡ Wallet WS detected UTA USDT excess=${excess}. Scheduling fast transfer check...`
-    );
-    scheduleFastReserveTransferCheck(reason);
-  }
+// Smallest allowed pullback from the peak wins, so the first configured limit hit closes.
+function getTrailingAllowedGiveback(peak, trailing) {
+  const limits = [];
+  if (trailing.giveback > 0) limits.push(trailing.giveback);
+  if (trailing.givebackPercent > 0) limits.push((peak * trailing.givebackPercent) / 100);
+  return limits.length ? Math.min(...limits) : Infinity;
 }
 
-// ================= NEW: OPEN POSITION GUARD FOR UTA -> FUND =================
-async function hasOpenPositionForReserveProtection() {
-  try {
-    const pos = await getPosition();
+function formatTrailingSummary() {
+  if (!TRAILING_ENABLED) return "off";
 
-    if (!pos || Number(pos.size) <= 0 || !pos.side) {
-      return false;
-    }
+  const parts = [
+    `activation=${TRAILING_ACTIVATION_PNL ?? "TAKE_PROFIT"}`,
+    TRAILING_GIVEBACK > 0 ? `giveback=${TRAILING_GIVEBACK}` : null,
+    TRAILING_GIVEBACK_PERCENT > 0 ? `giveback%=${TRAILING_GIVEBACK_PERCENT}` : null,
+  ];
 
-    console.log(
-      `ðŸ›‘ Reserve protection active: open position detected | symbol=${pos.symbol} | side=${pos.side} | size=${pos.size}`
-    );
-    return true;
-  } catch (err) {
-    console.error(
-      "CHECK OPEN POSITION FOR RESERVE PROTECTION ERROR:",
-      err.response?.data || err.message
-    );
-    return false;
-  }
+  return parts.filter(Boolean).join(" ");
 }
 
-// ================= REST FALLBACKS =================
-async function getPositionViaRest() {
-  try {
-    const timestamp = Date.now().toString();
-
-    const params = {
-      api_key: API_KEY,
-      timestamp,
-      recv_window: RECV_WINDOW,
-      category: "linear",
-      symbol: SYMBOL,
-    };
+function formatThresholdsSummary() {
+  const defaultRule = formatThresholdRule({
+    type: THRESHOLD_TYPE,
+    maxLoss: MAX_LOSS,
+    takeProfit: TAKE_PROFIT,
+    stopLossPrice: STOP_LOSS_PRICE,
+    takeProfitPrice: TAKE_PROFIT_PRICE,
+    ...runtimeThresholdOverrides.get("*"),
+  });
+  const parts = [`default ${defaultRule}`];
+  const symbols = new Set([
+    ...SYMBOLS,
+    ...[...runtimeThresholdOverrides.keys()].filter((key) => key !== "*"),
+  ]);
+
+  for (const symbol of symbols) {
+    const rule = formatThresholdRule(getSymbolThresholds(symbol));
+    if (rule === defaultRule) continue;
+    parts.push(`${symbol} ${rule}`);
+  }
 
-    const sign = signRestGet(params);
+  return parts.join(" | ");
+}
 
-    const res = await axios.get(`${HTTP_BASE_URL}/v5/position/list`, {
-      params: { ...params, sign },
-    });
+// ================= EXIT METRICS =================
+// positionIM is in every v5 position payload, positionValue/leverage is a fallback.
+function getPositionMargin(pos) {
+  const margin = Number(pos.positionIM);
+  if (margin > 0) return margin;
+  return Number(pos.positionValue) / Number(pos.leverage);
+}
 
-    const list = res?.data?.result?.list;
-    if (!list || list.length === 0) return null;
+// Return on initial margin.
+function getPositionRoePercent(pos) {
+  const pnl = Number(pos.unrealisedPnl);
+  const margin = getPositionMargin(pos);
 
-    return list[0];
-  } catch (err) {
-    console.error("GET POSITION REST ERROR:", err.response?.data || err.message);
-    return null;
-  }
+  if (!Number.isFinite(pnl) || !(margin > 0)) return NaN;
+  return (pnl / margin) * 100;
 }
 
-async function closePositionViaRest(side, size) {
-  try {
-    const timestamp = Date.now().toString();
-
-    const body = {
-      category: "linear",
-      symbol: SYMBOL,
-      side: side === "Buy" ? "Sell" : "Buy",
-      orderType: "Market",
-      qty: String(size),
-      timeInForce: "IOC",
-      reduceOnly: true,
-    };
+// Positive when the mark price moved in the position's favour.
+function getPositionMovePercent(pos) {
+  const avgPrice = Number(pos.avgPrice);
+  const markPrice = Number(pos.markPrice);
 
-    const bodyString = JSON.stringify(body);
-    const sign = signRestPost(timestamp, bodyString);
+  if (!(avgPrice > 0) || !(markPrice > 0)) return NaN;
 
-    const res = await axios.post(`${HTTP_BASE_URL}/v5/order/create`, body, {
-      headers: {
-        "Content-Type": "application/json",
-        "X-BAPI-API-KEY": API_KEY,
-        "X-BAPI-TIMESTAMP": timestamp,
-        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
-        "X-BAPI-SIGN": sign,
-      },
-    });
+  const move = ((markPrice - avgPrice) / avgPrice) * 100;
+  return pos.side === "Sell" ? -move : move;
+}
 
-    if (res?.data?.retCode !== 0) {
-      throw new Error(`REST close failed: ${res?.data?.retMsg || "unknown error"}`);
-    }
+// Value MAX_LOSS / TAKE_PROFIT / trailing compare against. The price rule trails on USDT PnL.
+function getExitMetric(pos, type) {
+  if (type === "roe") return getPositionRoePercent(pos);
+  if (type === "move") return getPositionMovePercent(pos);
+  return Number(pos.unrealisedPnl || 0);
+}
 
-    console.log("âœ… POSITION CLOSE SENT VIA REST:", res.data);
-  } catch (err) {
-    console.error("CLOSE POSITION REST ERROR:", err.response?.data || err.message);
-    throw err;
+function getPriceLevelHit(pos, rule) {
+  const markPrice = Number(pos.markPrice);
+  if (!(markPrice > 0)) return null;
+
+  const isLong = pos.side === "Buy";
+
+  if (
+    rule.stopLossPrice > 0 &&
+    (isLong ? markPrice <= rule.stopLossPrice : markPrice >= rule.stopLossPrice)
+  ) {
+    return "stop";
   }
-}
 
-// ================= NEW: UTA BALANCE CHECK =================
-async function getUTAUsdtWalletBalance() {
-  if (TRADE_MODE !== "mainnet") {
-    console.log("ðŸ§ª Skipping UTA reserve check balance fetch (Demo/Testnet mode active)");
-    return null;
+  if (
+    rule.takeProfitPrice > 0 &&
+    (isLong ? markPrice >= rule.takeProfitPrice : markPrice <= rule.takeProfitPrice)
+  ) {
+    return "take";
   }
 
-  try {
-    const timestamp = Date.now().toString();
+  return null;
+}
 
-    const params = {
-      accountType: "UNIFIED",
-      coin: "USDT",
-    };
+// ================= POSITION MODE HELPERS =================
+function getPositionIdx(pos) {
+  const idx = Number(pos?.positionIdx ?? 0);
+  return Number.isFinite(idx) ? idx : 0;
+}
 
-    const queryString = buildSortedQueryString(params);
-    const sign = signV5Get(timestamp, queryString);
+function getPositionKey(symbol, positionIdx = 0) {
+  return `${symbol}:${positionIdx}`;
+}
 
-    const res = await axios.get(`${HTTP_BASE_URL}/v5/account/wallet-balance`, {
-      params,
-      headers: {
-        "X-BAPI-API-KEY": API_KEY,
-        "X-BAPI-TIMESTAMP": timestamp,
-        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
-        "X-BAPI-SIGN": sign,
-      },
-      timeout: 15000,
-    });
+// One-way positions keep the bare symbol so existing log lines stay unchanged.
+function formatPositionLabel(symbol, positionIdx = 0) {
+  if (positionIdx === 1) return `${symbol}[Buy]`;
+  if (positionIdx === 2) return `${symbol}[Sell]`;
+  return symbol;
+}
 
-    if (res?.data?.retCode !== 0) {
-      throw new Error(res?.data?.retMsg || "Unknown wallet balance error");
-    }
+function formatPositionMode() {
+  const mode = detectedPositionMode || "unknown";
+  return POSITION_MODE === "auto" ? `auto (${mode})` : mode;
+}
 
-    const account = res?.data?.result?.list?.[0];
-    const usdtCoin = account?.coin?.find((c) => c.coin === "USDT");
+// Hedge accounts report positionIdx 1/2 even for flat legs, one-way accounts report 0.
+function notePositionModeFromList(list) {
+  if (POSITION_MODE !== "auto" || !Array.isArray(list) || list.length === 0) return;
 
-    if (!usdtCoin) {
-      console.log("â„¹ï¸ No USDT coin entry found in UTA wallet-balance response");
-      return 0;
-    }
+  const mode = list.some((p) => [1, 2].includes(getPositionIdx(p))) ? "hedge" : "oneway";
+  if (mode === detectedPositionMode) return;
 
-    const walletBalance = Number(usdtCoin.walletBalance || 0);
-    const normalized = Number.isFinite(walletBalance) ? walletBalance : 0;
+  const previous = detectedPositionMode;
+  detectedPositionMode = mode;
+  console.log(`ðŸ“¡ Position mode detected: ${mode}${previous ? ` (was ${previous})` : ""}`);
+}
 
-    setLatestUTAUsdtWalletBalance(normalized);
-    return normalized;
-  } catch (err) {
-    console.error("GET UTA USDT BALANCE ERROR:", err.response?.data || err.message);
-    return null;
+function resolveClosePositionIdx(side, positionIdx = 0) {
+  if (detectedPositionMode === "oneway") return 0;
+
+  if (detectedPositionMode === "hedge" && ![1, 2].includes(positionIdx)) {
+    return side === "Buy" ? 1 : 2;
   }
+
+  return positionIdx;
 }
 
-// ================= CLOSE VERIFICATION =================
-async function verifyPositionClosed(retries = CLOSE_VERIFY_RETRIES) {
-  for (let i = 0; i < retries; i++) {
-    await sleep(CLOSE_VERIFY_DELAY);
+// ================= POSITION CACHE HELPERS =================
+// Additive fix only: these helpers are used by existing logic but were missing.
+function setLatestPosition(pos) {
+  positionCache.set(getPositionKey(pos.symbol, getPositionIdx(pos)), {
+    position: applyLatestMarkPrice(pos),
+    updatedAt: Date.now(),
+  });
+}
 
-    const pos = await getPositionViaRest();
+function clearLatestPosition(symbol, positionIdx = 0) {
+  positionCache.delete(getPositionKey(symbol, positionIdx));
+}
 
-    if (!pos || Number(pos.size) <= 0 || !pos.side) {
-      clearLatestPosition();
-      currentInterval = SLOW_INTERVAL;
-      console.log("âœ… Position confirmed closed");
-      return true;
-    }
+function getCachedSymbolEntries(symbol) {
+  return [...positionCache.values()].filter(({ position }) => position.symbol === symbol);
+}
 
-    setLatestPosition(pos);
-    console.log(
-      `â ³ Close verification attempt ${i + 1}/${retries}: position still open | size=${pos.size} | pnl=${Number(
-        pos.unrealisedPnl || 0
-      )}`
-    );
+function replaceSymbolPositions(symbol, list) {
+  for (const { position } of getCachedSymbolEntries(symbol)) {
+    clearLatestPosition(symbol, getPositionIdx(position));
   }
 
-  console.error("â Œ Close sent but position still open after verification");
-  return false;
-}
+  const open = list.filter(isOpenPosition);
 
-// ================= CLOSE POSITION =================
-async function closePosition(side, size) {
-  if (isClosing) {
-    console.log("â ³ Close already in progress, skipping duplicate request...");
-    return;
+  for (const pos of open) {
+    setLatestPosition(pos);
   }
 
-  isClosing = true;
+  resetFlatPositionExitStates(symbol, open);
+}
 
-  try {
-    clearLatestPosition();
+// Oldest leg wins so a fresh push for one hedge leg never hides a stale other leg.
+function getPositionUpdatedAt(symbol) {
+  const entries = getCachedSymbolEntries(symbol);
+  if (entries.length === 0) return 0;
+  return Math.min(...entries.map((e) => e.updatedAt));
+}
 
-    if (TRADE_MODE === "demo" && FORCE_REST_CLOSE_ON_DEMO) {
-      console.log("ðŸ§ª DEMO MODE: using REST fallback close...");
-      await closePositionViaRest(side, size);
-      await verifyPositionClosed();
-      return;
-    }
+function getWatchedSymbols() {
+  if (!WATCH_ALL_SYMBOLS) return SYMBOLS;
+  return [...new Set([...positionCache.values()].map(({ position }) => position.symbol))];
+}
 
-    const payload = {
-      reqId: `close-${SYMBOL}-${Date.now()}`,
-      header: {
-        "X-BAPI-TIMESTAMP": String(Date.now()),
-        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
-      },
-      op: "order.create",
-      args: [
-        {
-          category: "linear",
-          symbol: SYMBOL,
-          side: side === "Buy" ? "Sell" : "Buy",
-          orderType: "Market",
-          qty: String(size),
-          timeInForce: "IOC",
-          reduceOnly: true,
-        },
-      ],
-    };
+function hasAnyCachedOpenPosition() {
+  for (const { position } of positionCache.values()) {
+    if (isOpenPosition(position)) return true;
+  }
+  return false;
+}
 
-    if (tradeReady && tradeWs?.readyState === WebSocket.OPEN) {
-      tradeWs.send(JSON.stringify(payload));
-      console.log("âœ… CLOSE REQUEST SENT VIA WS");
-      await verifyPositionClosed();
-    } else {
-      console.log("âš ï¸ TRADE WS not ready, fallback to REST close...");
-      await closePositionViaRest(side, size);
-      await verifyPositionClosed();
-    }
-  } catch (err) {
-    console.error("CLOSE POSITION ERROR:", err.message);
-    throw err;
-  } finally {
-    setTimeout(() => {
-      isClosing = false;
-    }, 3000);
+function formatOpenPositionsSummary() {
+  const parts = [];
+
+  for (const { position } of positionCache.values()) {
+    if (!isOpenPosition(position)) continue;
+    parts.push(
+      `${formatPositionLabel(position.symbol, getPositionIdx(position))} ${position.side} ${
+        position.size
+      } pnl=${Number(position.unrealisedPnl || 0)}`
+    );
   }
+
+  return parts.length ? parts.join(" | ") : "none";
 }
 
-// ================= AUTO TRANSFER (FUNDING TO UTA) =================
-async function transferFundingToUTA() {
-  if (TRADE_MODE !== "mainnet") {
-    console.log("ðŸ§ª Skipping Auto-Transfer (Demo/Testnet mode active)");
-    return;
+// Returns every open leg of a symbol (one entry in one-way mode, up to two in hedge mode),
+// or null when the REST read failed and the real state is unknown.
+async function getSymbolPositions(symbol) {
+  const now = Date.now();
+  const cached = getCachedSymbolEntries(symbol);
+
+  if (
+    cached.length > 0 &&
+    now - getPositionUpdatedAt(symbol) <= POSITION_CACHE_TTL &&
+    cached.every(({ position }) => isOpenPosition(position))
+  ) {
+    return cached.map(({ position }) => position);
   }
 
-  try {
-    const timestamp = Date.now().toString();
-    const transferId = crypto.randomUUID();
-
-    const body = {
-      transferId,
-      coin: "USDT",
-      amount: String(TRANSFER_AMOUNT),
-      fromAccountType: "FUND",
-      toAccountType: "UNIFIED", // Unified Trading Account
-    };
+  const list = await getPositionsViaRest(symbol);
+  if (list === null) return null;
 
-    const bodyString = JSON.stringify(body);
-    const sign = signRestPost(timestamp, bodyString);
+  replaceSymbolPositions(symbol, list);
 
-    const res = await axios.post(`${HTTP_BASE_URL}/v5/asset/transfer/inter-transfer`, body, {
-      headers: {
-        "Content-Type": "application/json",
-        "X-BAPI-API-KEY": API_KEY,
-        "X-BAPI-TIMESTAMP": timestamp,
-        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
-        "X-BAPI-SIGN": sign,
-      },
-    });
+  return getCachedSymbolEntries(symbol).map(({ position }) => position);
+}
 
-    if (res?.data?.retCode !== 0) {
-      console.warn(`âš ï¸ Transfer Failed: ${res?.data?.retMsg || "Insufficient balance or error"}`);
-    } else {
-      console.log(`ðŸ’¸ Success! Transferred ${TRANSFER_AMOUNT} USDT from FUNDING to UTA.`);
-    }
-  } catch (err) {
-    console.error("TRANSFER ERROR:", err.response?.data || err.message);
+/**
+ * ALL mode only: one REST call for every position settled in POSITION_SETTLE_COIN.
+ * Replaces the cache so positions closed elsewhere drop out of the watch list.
+ */
+async function syncAllPositionsViaRest() {
+  const list = await getPositionsViaRest();
+  if (list === null) return false;
+
+  positionCache.clear();
+
+  const open = getWatchedSymbolPositions(list).filter(isOpenPosition);
+
+  for (const pos of open) {
+    setLatestPosition(pos);
   }
-}
 
-function startAutoTransfer() {
-  console.log(`â ±ï¸ Auto-Transfer Active: Moving ${TRANSFER_AMOUNT} USDT every 5 minutes.`);
+  resetFlatPositionExitStates(null, open);
 
-  setInterval(() => {
-    transferFundingToUTA();
-  }, TRANSFER_INTERVAL_MS);
+  positionListSyncedAt = Date.now();
+  return true;
 }
 
-// ================= NEW: UTA EXCESS -> FUNDING =================
-async function transferExcessUTAToFunding(amount) {
-  if (TRADE_MODE !== "mainnet") {
-    console.log("ðŸ§ª Skipping UTA excess transfer (Demo/Testnet mode active)");
-    return;
+async function getOpenPositions() {
+  if (WATCH_ALL_SYMBOLS) {
+    if (Date.now() - positionListSyncedAt > POSITION_CACHE_TTL) {
+      await syncAllPositionsViaRest();
+    }
+
+    return [...positionCache.values()]
+      .map(({ position }) => position)
+      .filter(isOpenPosition);
   }
 
-  const normalizedAmount = roundDown(amount, 6);
+  const positions = [];
 
-  if (!Number.isFinite(normalizedAmount) || normalizedAmount < RESERVE_TRANSFER_MIN_AMOUNT) {
-    console.log(
-      `â„¹ï¸ UTA excess transfer skipped. Amount too small: ${normalizedAmount} USDT`
-    );
-    return;
+  for (const symbol of SYMBOLS) {
+    positions.push(...((await getSymbolPositions(symbol)) || []));
   }
 
-  const hasOpenPosition = await hasOpenPositionForReserveProtection();
-  if (hasOpenPosition) {
-    console.log(
-      "â ¸ï¸ UTA -> FUND transfer skipped because there is still an open position."
-    );
-    return;
-  }
+  return positions;
+}
 
-  try {
-    const timestamp = Date.now().toString();
-    const transferId = crypto.randomUUID();
-
-    const body = {
-      transferId,
-      coin: "USDT",
-      amount: String(normalizedAmount),
-      fromAccountType: "UNIFIED",
-      toAccountType: "FUND",
-    };
+// ================= MARK PRICE =================
+// Bybit's linear unrealised PnL, from the cached entry, size and side.
+function computeLocalPnl(pos, markPrice) {
+  const avgPrice = Number(pos.avgPrice);
+  const size = Number(pos.size);
 
-    const bodyString = JSON.stringify(body);
-    const sign = signRestPost(timestamp, bodyString);
+  if (!(avgPrice > 0) || !(size > 0) || !(markPrice > 0)) return NaN;
 
-    const res = await axios.post(`${HTTP_BASE_URL}/v5/asset/transfer/inter-transfer`, body, {
-      headers: {
-        "Content-Type": "application/json",
-        "X-BAPI-API-KEY": API_KEY,
-        "X-BAPI-TIMESTAMP": timestamp,
-        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
-        "X-BAPI-SIGN": sign,
-      },
-      timeout: 15000,
-    });
+  const pnl = (markPrice - avgPrice) * size * (pos.side === "Sell" ? -1 : 1);
+  return Number(pnl.toFixed(8));
+}
 
-    if (res?.data?.retCode !== 0) {
-      console.warn(
-        `âš ï¸ UTA -> FUND transfer failed: ${res?.data?.retMsg || "unknown transfer error"}`
-      );
-      return;
-    }
+// Only trusted while the public stream is up and the last tick is recent.
+function getFreshMarkPrice(symbol) {
+  if (!publicReady) return null;
 
-    console.log(
-      `ðŸ’¼ Reserve maintained: transferred ${normalizedAmount} USDT excess from UTA to Funding.`
+  const entry = latestMarkPrices.get(symbol);
+  if (!entry || Date.now() - entry.updatedAt > MARK_PRICE_STALE_MS) return null;
+  return entry.markPrice;
+}
+
+function repricePosition(pos, markPrice) {
+  const pnl = computeLocalPnl(pos, markPrice);
+  if (!Number.isFinite(pnl)) return pos;
+
+  return {
+    ...pos,
+    markPrice: String(markPrice),
+    unrealisedPnl: String(pnl),
+    exchangeUnrealisedPnl: pos.exchangeUnrealisedPnl ?? pos.unrealisedPnl,
+  };
+}
+
+// At the exchange's own mark the local formula must match the exchange PnL; if it doesn't, the
+// cached entry/size is off and tick-driven thresholds would be evaluated on a wrong number.
+function reconcilePositionPnl(pos) {
+  const reported = Number(pos.unrealisedPnl);
+  const local = computeLocalPnl(pos, Number(pos.markPrice));
+  if (!Number.isFinite(reported) || !Number.isFinite(local)) return;
+
+  const positionIdx = getPositionIdx(pos);
+  const diff = Number((reported - local).toFixed(8));
+
+  setMetric("bybit_bot_pnl_reconcile_diff", { symbol: pos.symbol, position_idx: positionIdx }, diff);
+
+  if (Math.abs(diff) > PNL_RECONCILE_TOLERANCE) {
+    console.warn(
+      `âš ï¸ ${formatPositionLabel(pos.symbol, positionIdx)} PnL reconcile: exchange=${reported} local=${local} diff=${diff} USDT`
     );
-  } catch (err) {
-    console.error("UTA -> FUND TRANSFER ERROR:", err.response?.data || err.message);
   }
 }
 
-async function maintainUTAReserveBalance(source = "interval") {
-  if (isReserveMaintaining) {
-    console.log(`â ³ Reserve maintenance already running, skipping duplicate cycle... [${source}]`);
-    return;
-  }
+// Exchange pushes and REST reads are re-priced at the latest tick while the stream is live, so
+// every evaluation uses the same PnL source. With the stream down they pass through unchanged.
+function applyLatestMarkPrice(pos) {
+  if (!publicReady || !isOpenPosition(pos)) return pos;
 
-  isReserveMaintaining = true;
+  reconcilePositionPnl(pos);
 
-  try {
-    if (TRADE_MODE !== "mainnet") {
-      console.log("ðŸ§ª Skipping reserve maintenance (Demo/Testnet mode active)");
-      return;
-    }
+  const markPrice = getFreshMarkPrice(pos.symbol);
+  return markPrice === null ? pos : repricePosition(pos, markPrice);
+}
+
+// Ticks arrive many times a second; the PnL line (mirrored to Telegram) is kept to one per
+// FAST_INTERVAL per leg. Threshold checks still run on every tick.
+function claimTickLog(symbol, positionIdx) {
+  const key = getPositionKey(symbol, positionIdx);
+  const now = Date.now();
 
-    const utaUsdtBalance = await getUTAUsdtWalletBalance();
+  if (now - (lastTickLogAt.get(key) || 0) < FAST_INTERVAL) return false;
+  lastTickLogAt.set(key, now);
+  return true;
+}
 
-    if (utaUsdtBalance === null) {
-      console.warn(`âš ï¸ Unable to read UTA USDT balance. Reserve maintenance skipped. [${source}]`);
-      return;
-    }
+// ================= PER-POSITION EXIT STATE =================
+function getPositionExitState(pos) {
+  const positionIdx = getPositionIdx(pos);
+  const key = getPositionKey(pos.symbol, positionIdx);
+  let state = positionExitState.get(key);
 
+  if (state && state.side !== pos.side) {
     console.log(
-      `ðŸ ¦ UTA USDT walletBalance: ${utaUsdtBalance} | reserve target: ${UTA_RESERVE_BALANCE} | source: ${source}`
+      `ðŸ”„ ${formatPositionLabel(pos.symbol, positionIdx)} flipped ${state.side} -> ${pos.side}, exit state reset`
     );
+    state = null;
+  }
+
+  if (!state) {
+    state = {
+      side: pos.side,
+      peak: null,
+      trailingActive: false,
+      originalSize: Number(pos.size),
+      firedRungs: [],
+      skippedRungs: null,
+      breakEvenEntryPrice: null,
+    };
+    positionExitState.set(key, state);
+  }
 
-    const excess = roundDown(utaUsdtBalance - UTA_RESERVE_BALANCE, 6);
+  // Adding to the position before any rung fired grows the base the ladder works from.
+  if (state.firedRungs.length === 0 && Number(pos.size) > state.originalSize) {
+    state.originalSize = Number(pos.size);
+  }
 
-    if (excess >= RESERVE_TRANSFER_MIN_AMOUNT) {
-      const hasOpenPosition = await hasOpenPositionForReserveProtection();
+  return state;
+}
 
-      if (hasOpenPosition) {
-        console.log(
-          "â ¸ï¸ UTA reserve excess detected, but transfer to Funding is skipped because an open position is still present."
-        );
-        return;
-      }
+function resetPositionExitState(symbol, positionIdx = 0) {
+  positionExitState.delete(getPositionKey(symbol, positionIdx));
+  shadowClosedPositions.delete(getPositionKey(symbol, positionIdx));
+  exchangeTpSlState.delete(getPositionKey(symbol, positionIdx));
+}
 
-      console.log(
-        `ðŸ’¡ UTA balance exceeds reserve by ${excess} USDT. Transferring excess to Funding...`
-      );
-      await transferExcessUTAToFunding(excess);
-    } else {
-      console.log("âœ… UTA reserve OK. No excess transfer needed.");
-    }
-  } catch (err) {
-    console.error("MAINTAIN UTA RESERVE ERROR:", err.message);
-  } finally {
-    isReserveMaintaining = false;
+// symbol = null resets every symbol (ALL mode sync). openList must come from a successful read.
+function resetFlatPositionExitStates(symbol, openList) {
+  const openKeys = new Set(openList.map((p) => getPositionKey(p.symbol, getPositionIdx(p))));
+
+  for (const key of [
+    ...positionExitState.keys(),
+    ...shadowClosedPositions,
+    ...exchangeTpSlState.keys(),
+  ]) {
+    if (symbol && !key.startsWith(`${symbol}:`)) continue;
+    if (openKeys.has(key)) continue;
+    positionExitState.delete(key);
+    shadowClosedPositions.delete(key);
+    exchangeTpSlState.delete(key);
   }
 }
 
-function startUTAReserveMaintainer() {
-  console.log(
-    `ðŸ›¡ï¸ UTA reserve maintainer active: keeping ${UTA_RESERVE_BALANCE} USDT in UTA, checking every ${Math.floor(
-      RESERVE_CHECK_INTERVAL_MS / 1000
-    )} seconds.`
-  );
+// Break-even belongs to one entry: a new avgPrice (position re-opened or added to) disarms it.
+function isBreakEvenArmed(pos, state) {
+  return state.breakEvenEntryPrice !== null && state.breakEvenEntryPrice === String(pos.avgPrice);
+}
 
-  // initial run
-  maintainUTAReserveBalance("startup").catch(() => {});
+function armBreakEven(pos, state, breakEven, metric, unit) {
+  state.breakEvenEntryPrice = String(pos.avgPrice);
 
-  setInterval(() => {
-    maintainUTAReserveBalance("interval").catch(() => {});
-  }, RESERVE_CHECK_INTERVAL_MS);
+  const message = [
+    `ðŸ›¡ï¸ ${formatPositionLabel(pos.symbol, getPositionIdx(pos))} BREAK-EVEN ARMED`,
+    `side: ${pos.side} | size: ${pos.size} | entry: ${pos.avgPrice}`,
+    `reached ${roundDown(metric, 4)} ${unit} (trigger ${breakEven.trigger})`,
+    `loss limit is now PnL <= ${breakEven.buffer} USDT`,
+  ].join("\n");
+
+  rawConsole.log(message);
+  sendTelegram(message, { disableNotification: false }).catch(() => {});
 }
 
-// ================= MONITOR =================
-async function monitor() {
-  const pos = await getPosition();
+// ================= JOURNAL =================
+// Synchronous append keeps entries in order and on disk even if the process dies right after.
+function journalEvent(type, data = {}) {
+  // A replay is a what-if; it must never land in the live journal.
+  if (!JOURNAL_ENABLED || REPLAY_FILE) return;
 
-  if (!pos || Number(pos.size) <= 0 || !pos.side) {
-    console.log("ðŸ“­ No open position");
-    currentInterval = SLOW_INTERVAL;
-    return;
-  }
+  const now = Date.now();
+
+  try {
+    fs.appendFileSync(
+      JOURNAL_FILE,
+      `${JSON.stringify({ ts: now, time: new Date(now).toISOString(), type, ...data })}\n`
+    );
+  } catch (err) {
+    rawConsole.error(`JOURNAL WRITE ERROR (${JOURNAL_FILE}):`, err.message);
+  }
+}
+
+// Logs and journals what would have been sent. Only called when DRY_RUN is on.
+function recordDryRun(action, data) {
+  console.log(`ðŸ§ª DRY RUN: would ${action}:`, JSON.stringify(data));
+  journalEvent("dry_run", { action, ...data });
+}
+
+// ================= BOT STATE FILE =================
+function loadBotState() {
+  try {
+    if (!fs.existsSync(BOT_STATE_FILE)) return {};
+    return JSON.parse(fs.readFileSync(BOT_STATE_FILE, "utf8")) || {};
+  } catch (err) {
+    console.error(`LOAD BOT STATE ERROR (${BOT_STATE_FILE}):`, err.message);
+    return {};
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves half a JSON document.
+function saveBotState() {
+  // Like the journal: a replay must never overwrite the live lockout or attention flags.
+  if (REPLAY_FILE) return;
+
+  try {
+    const tmp = `${BOT_STATE_FILE}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify(
+        {
+          dailyLoss: dailyLossState,
+          manualAttention: Object.fromEntries(manualAttention),
+          topUps: topUpState,
+        },
+        null,
+        2
+      )
+    );
+    fs.renameSync(tmp, BOT_STATE_FILE);
+  } catch (err) {
+    console.error(`SAVE BOT STATE ERROR (${BOT_STATE_FILE}):`, err.message);
+  }
+}
+
+// ================= DAILY LOSS HELPERS =================
+function getUtcDay(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function getUtcDayStart(ts = Date.now()) {
+  return Date.parse(`${getUtcDay(ts)}T00:00:00.000Z`);
+}
+
+function isDailyLossGuardEnabled() {
+  return DAILY_MAX_LOSS < 0;
+}
+
+function getDailyLossCounted() {
+  return roundDown(dailyLossState.realizedPnl - dailyLossState.baselinePnl, 4);
+}
+
+function rollDailyLossDay() {
+  // A replay rolls over on the recorded day, not on today's.
+  const today = getUtcDay(replaySession ? replaySession.clock : Date.now());
+  if (dailyLossState.day === today) return;
+
+  const wasLocked = dailyLossState.lockout;
+
+  dailyLossState = {
+    day: today,
+    realizedPnl: 0,
+    baselinePnl: 0,
+    lockout: false,
+    lockedAt: null,
+    updatedAt: 0,
+  };
+  saveBotState();
+
+  if (wasLocked) {
+    console.log(`ðŸ”“ New UTC day ${today}: daily loss lockout lifted`);
+  }
+}
+
+function isDailyLossLockoutActive() {
+  if (!isDailyLossGuardEnabled()) return false;
+  rollDailyLossDay();
+  return dailyLossState.lockout;
+}
+
+function formatDailyLossSummary() {
+  if (!isDailyLossGuardEnabled()) return "off";
+
+  return `${dailyLossState.lockout ? "LOCKED OUT" : "ok"} | day=${dailyLossState.day} | realized=${
+    dailyLossState.realizedPnl
+  } | counted=${getDailyLossCounted()} | limit=${DAILY_MAX_LOSS}`;
+}
+
+function restoreDailyLossState() {
+  const saved = loadBotState().dailyLoss;
+
+  if (saved && typeof saved === "object") {
+    dailyLossState = { ...dailyLossState, ...saved };
+  }
+
+  rollDailyLossDay();
+
+  if (dailyLossState.lockout && DAILY_LOSS_RESET) {
+    resetDailyLossLockout("DAILY_LOSS_RESET env");
+  } else if (dailyLossState.lockout) {
+    console.warn(`ðŸ›‘ Daily loss lockout restored from ${BOT_STATE_FILE}: ${formatDailyLossSummary()}`);
+  }
+}
+
+function engageDailyLossLockout() {
+  dailyLossState.lockout = true;
+  dailyLossState.lockedAt = Date.now();
+  saveBotState();
+
+  const message = [
+    "ðŸ›‘ DAILY LOSS LIMIT HIT - LOCKOUT ENGAGED",
+    `realized today: ${dailyLossState.realizedPnl} USDT (counted ${getDailyLossCounted()})`,
+    `limit: ${DAILY_MAX_LOSS} USDT`,
+    `symbols: ${SYMBOLS_LABEL}`,
+    "Every open position on the watched symbols will be closed until the next UTC day or a manual reset.",
+  ].join("\n");
+
+  rawConsole.warn(message);
+  sendTelegram(message, { disableNotification: false }).catch(() => {});
+
+  runMonitorSafely("daily-loss-lockout").catch(() => {});
+}
+
+function resetDailyLossLockout(source = "manual") {
+  dailyLossState.baselinePnl = dailyLossState.realizedPnl;
+  dailyLossState.lockout = false;
+  dailyLossState.lockedAt = null;
+  saveBotState();
+
+  console.log(
+    `ðŸ”“ Daily loss lockout reset (${source}). Losses are counted again from realized=${dailyLossState.realizedPnl}`
+  );
+}
+
+async function refreshDailyRealizedPnl(source = "interval") {
+  if (!isDailyLossGuardEnabled() || isDailyPnlRefreshing) return;
+
+  isDailyPnlRefreshing = true;
+
+  try {
+    rollDailyLossDay();
+
+    const records = await getClosedPnlSince(getUtcDayStart());
+    if (records === null) return;
+
+    const realized = records
+      .filter((r) => isWatchedSymbol(r.symbol))
+      .reduce((sum, r) => sum + Number(r.closedPnl || 0), 0);
+
+    dailyLossState.realizedPnl = roundDown(realized, 4);
+    dailyLossState.updatedAt = Date.now();
+    saveBotState();
+
+    if (!dailyLossState.lockout && getDailyLossCounted() <= DAILY_MAX_LOSS) {
+      engageDailyLossLockout();
+    }
+  } catch (err) {
+    console.error(`DAILY PNL REFRESH ERROR [${source}]:`, err.message);
+  } finally {
+    isDailyPnlRefreshing = false;
+  }
+}
+
+// closed-pnl rows appear a moment after the fill, so wait briefly and coalesce bursts.
+function scheduleDailyPnlRefresh(reason = "execution") {
+  if (!isDailyLossGuardEnabled()) return;
+  if (dailyPnlRefreshTimer) clearTimeout(dailyPnlRefreshTimer);
+
+  dailyPnlRefreshTimer = setTimeout(() => {
+    dailyPnlRefreshTimer = null;
+    refreshDailyRealizedPnl(reason).catch(() => {});
+  }, DAILY_PNL_EXECUTION_DELAY_MS);
+}
+
+function startDailyLossGuard() {
+  if (!isDailyLossGuardEnabled()) {
+    console.log("â„¹ï¸ Daily loss guard disabled (DAILY_MAX_LOSS=0)");
+    return;
+  }
+
+  restoreDailyLossState();
+
+  console.log(
+    `ðŸ›¡ï¸ Daily loss guard active: limit ${DAILY_MAX_LOSS} USDT per UTC day, refreshing every ${Math.floor(
+      DAILY_PNL_REFRESH_MS / 1000
+    )} seconds.`
+  );
+
+  refreshDailyRealizedPnl("startup").catch(() => {});
+
+  setInterval(() => {
+    refreshDailyRealizedPnl("interval").catch(() => {});
+  }, DAILY_PNL_REFRESH_MS);
+}
+
+// ================= RESERVE RULES =================
+function parseReserveCoins(value) {
+  return [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((coin) => coin.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function getReserveRule(coin) {
+  return {
+    balance: readSymbolNumberSetting("UTA_RESERVE_BALANCE", coin, UTA_RESERVE_BALANCE),
+    percent: readSymbolNumberSetting("UTA_RESERVE_PERCENT", coin, UTA_RESERVE_PERCENT),
+  };
+}
+
+function formatReserveRule(coin) {
+  const { balance, percent } = getReserveRule(coin);
+  return percent > 0
+    ? `${coin} ${percent}% of equity, at least ${balance}`
+    : `${coin} ${balance}`;
+}
+
+function formatReserveRules() {
+  return RESERVE_COINS.map(formatReserveRule).join(" | ");
+}
+
+// The UNIFIED account of a wallet-balance result or wallet stream push, reduced to what the
+// reserve rules need.
+function parseUnifiedWallet(account) {
+  const coins = {};
+
+  for (const c of Array.isArray(account?.coin) ? account.coin : []) {
+    if (!c?.coin) continue;
+
+    const equity = Number(c.equity);
+    const usdValue = Number(c.usdValue);
+    const available = c.availableToWithdraw === "" ? NaN : Number(c.availableToWithdraw);
+
+    coins[c.coin] = {
+      walletBalance: Number(c.walletBalance || 0),
+      available: Number.isFinite(available) ? available : null,
+      // USD per coin; null when UTA holds none of it to price it by.
+      price: equity > 0 && usdValue > 0 ? usdValue / equity : null,
+    };
+  }
+
+  const totalEquity = Number(account?.totalEquity);
+  return { totalEquity: Number.isFinite(totalEquity) ? totalEquity : null, coins };
+}
+
+function setLatestUtaWallet(wallet) {
+  latestUtaWallet = { ...wallet, updatedAt: Date.now() };
+}
+
+/**
+ * Applies every reserve rule to a UTA wallet and the FUND balances of the reserve coins.
+ * Returns one { coin, available, target, excess } per coin, or { coin, skipped } when the
+ * inputs for its rule are missing.
+ */
+function evaluateReserveRules(wallet, fundBalances) {
+  const priceOf = (coin) =>
+    wallet.coins[coin]?.price ?? (USD_STABLECOINS.includes(coin) ? 1 : null);
+
+  // Why total equity can not be worked out, or null when it can.
+  let equityUnknown = wallet.totalEquity === null ? "UTA total equity unknown" : null;
+  let totalEquity = wallet.totalEquity;
+
+  for (const coin of RESERVE_COINS) {
+    const fund = fundBalances[coin];
+
+    if (!Number.isFinite(fund)) {
+      equityUnknown ??= `FUND ${coin} balance unknown`;
+    } else if (fund > 0) {
+      if (priceOf(coin) === null) equityUnknown ??= `${coin} USD price unknown`;
+      else totalEquity += fund * priceOf(coin);
+    }
+  }
+
+  return RESERVE_COINS.map((coin) => {
+    const { balance, percent } = getReserveRule(coin);
+    const holding = wallet.coins[coin];
+    const available = holding ? holding.available : 0;
+
+    if (available === null) return { coin, skipped: "availableToWithdraw not reported" };
+
+    let target = balance;
+
+    if (percent > 0) {
+      if (equityUnknown) return { coin, skipped: equityUnknown };
+      if (priceOf(coin) === null) return { coin, skipped: `${coin} USD price unknown` };
+
+      target = Math.max(balance, (totalEquity * percent) / 100 / priceOf(coin));
+    }
+
+    target = roundDown(target, 6);
+    return { coin, available, target, excess: roundDown(available - target, 6) };
+  });
+}
+
+function formatUtaReserveSummary() {
+  if (!latestUtaWallet) return "null";
+
+  return evaluateReserveRules(latestUtaWallet, latestFundBalances)
+    .map((r) => (r.skipped ? `${r.coin} ? (${r.skipped})` : `${r.coin} ${r.available}/${r.target}`))
+    .join(" | ");
+}
+
+// ================= NEW FAST RESERVE HELPERS =================
+function extractUnifiedWalletFromWalletStream(data) {
+  if (!Array.isArray(data)) return null;
+
+  const account = data.find((a) => a?.accountType === "UNIFIED" && Array.isArray(a.coin));
+  return account ? parseUnifiedWallet(account) : null;
+}
+
+function clearReserveFastTransferTimer() {
+  if (reserveFastTransferTimer) {
+    clearTimeout(reserveFastTransferTimer);
+    reserveFastTransferTimer = null;
+  }
+}
+
+function scheduleFastReserveTransferCheck(reason = "wallet-stream") {
+  if (TRADE_MODE !== "mainnet") return;
+
+  clearReserveFastTransferTimer();
+
+  reserveFastTransferTimer = setTimeout(async () => {
+    reserveFastTransferTimer = null;
+
+    try {
+      console.log(
+        `âš¡ Fast reserve transfer check triggered (${reason}) after ${RESERVE_FAST_TRANSFER_DELAY_MS}ms`
+      );
+      await maintainUTAReserveBalance("wallet-fast-trigger");
+    } catch (err) {
+      console.error("FAST RESERVE TRANSFER CHECK ERROR:", err.message);
+    }
+  }, RESERVE_FAST_TRANSFER_DELAY_MS);
+}
+
+// Same rules as the interval check, with the FUND balances that check last read.
+function maybeTriggerFastReserveTransferFromWallet(wallet, reason = "wallet-stream") {
+  const over = evaluateReserveRules(wallet, latestFundBalances).find(
+    (r) => !r.skipped && r.excess >= RESERVE_TRANSFER_MIN_AMOUNT
+  );
+
+  if (over) {
+    console.log(
+      `âš¡ Wallet WS detected UTA ${over.coin} excess=${over.excess}. ` +
+        "Scheduling fast transfer check..."
+    );
+    scheduleFastReserveTransferCheck(reason);
+  }
+}
+
+// ================= NEW: OPEN POSITION GUARD FOR UTA -> FUND =================
+async function hasOpenPositionForReserveProtection() {
+  try {
+    const positions = await getOpenPositions();
+    const pos = positions[0];
+
+    if (!pos) {
+      return false;
+    }
+
+    console.log(
+      `ðŸ›‘ Reserve protection active: open position detected | symbol=${pos.symbol} | side=${pos.side} | size=${pos.size} | openPositions=${positions.length}`
+    );
+    return true;
+  } catch (err) {
+    console.error(
+      "CHECK OPEN POSITION FOR RESERVE PROTECTION ERROR:",
+      err.response?.data || err.message
+    );
+    return false;
+  }
+}
+
+// ================= REST SCHEDULER =================
+// Bybit limits each endpoint per UID and reports what is left on every response. Calls queue per
+// endpoint by priority; once the quota runs low, lower priorities wait for the reset and leave
+// the last calls to closes. Without headers (public routes, first call) nothing is held back.
+const REST_PRIORITIES = { close: 0, normal: 1, background: 2 };
+const REST_QUOTA_LOG_INTERVAL_MS = 60 * 1000;
+// The reset timestamp is only as exact as the clock offset, so held calls wait a little past it.
+const REST_QUOTA_RESET_MARGIN_MS = 100;
+
+// endpoint -> { limit, remaining, resetAt (local ms), waiting: [], timer, loggedAt }
+const restLanes = new Map();
+let restQueueSeq = 0;
+
+function getRestLane(endpoint) {
+  if (!restLanes.has(endpoint)) {
+    restLanes.set(endpoint, {
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      waiting: [],
+      timer: null,
+      loggedAt: 0,
+    });
+  }
+  return restLanes.get(endpoint);
+}
+
+// Calls each priority leaves unused: closes may spend the last one, background reads keep most.
+function getRestQuotaFloor(lane, priority) {
+  const reserve = Math.ceil((lane.limit || 0) * (REST_QUOTA_RESERVE_PERCENT / 100));
+  return reserve * REST_PRIORITIES[priority];
+}
+
+function pumpRestLane(endpoint) {
+  const lane = getRestLane(endpoint);
+  clearTimeout(lane.timer);
+  lane.timer = null;
+
+  // A new window: assume the full limit (Bybit windows are a second) until a response says more.
+  if (lane.resetAt !== null && Date.now() >= lane.resetAt) {
+    lane.remaining = lane.limit;
+    lane.resetAt = lane.limit === null ? null : Date.now() + 1000;
+  }
+
+  // Sorted by priority, so a blocked head means everything behind it is blocked too.
+  while (lane.waiting.length > 0) {
+    const next = lane.waiting[0];
+    if (lane.remaining !== null && lane.remaining <= getRestQuotaFloor(lane, next.priority)) break;
+
+    lane.waiting.shift();
+    if (lane.remaining !== null) lane.remaining -= 1;
+    next.resolve();
+  }
+
+  if (lane.waiting.length === 0) return;
+
+  const waitMs = Math.max(lane.resetAt - Date.now(), 50);
+  if (Date.now() - lane.loggedAt >= REST_QUOTA_LOG_INTERVAL_MS) {
+    lane.loggedAt = Date.now();
+    console.log(
+      `â ³ REST QUOTA LOW ${endpoint}: ${lane.remaining}/${lane.limit} left, ` +
+        `${lane.waiting.length} call(s) held ${waitMs}ms`
+    );
+  }
+  lane.timer = setTimeout(() => pumpRestLane(endpoint), waitMs);
+}
+
+function acquireRestSlot(endpoint, priority) {
+  return new Promise((resolve) => {
+    const lane = getRestLane(endpoint);
+    lane.waiting.push({ priority, seq: restQueueSeq++, resolve });
+    lane.waiting.sort(
+      (a, b) => REST_PRIORITIES[a.priority] - REST_PRIORITIES[b.priority] || a.seq - b.seq
+    );
+    pumpRestLane(endpoint);
+  });
+}
+
+// X-Bapi-Limit-Status is what is left after this call; the reset timestamp is server time.
+function noteRestQuota(endpoint, headers, rateLimited = false) {
+  const lane = getRestLane(endpoint);
+  const limit = Number(headers?.["x-bapi-limit"]);
+  const remaining = Number(headers?.["x-bapi-limit-status"]);
+  const resetAt = Number(headers?.["x-bapi-limit-reset-timestamp"]);
+
+  if (Number.isFinite(remaining) && resetAt > 0) {
+    if (limit > 0) lane.limit = limit;
+    lane.remaining = remaining;
+    lane.resetAt = resetAt - serverTimeOffsetMs + REST_QUOTA_RESET_MARGIN_MS;
+  } else if (rateLimited) {
+    lane.remaining = 0;
+    lane.resetAt = Date.now() + 1000;
+  } else {
+    return;
+  }
+
+  if (rateLimited) lane.remaining = 0;
+  setMetric("bybit_bot_rest_quota_remaining", { endpoint }, lane.remaining);
+}
+
+// ================= BYBIT REST CLIENT =================
+// Every Bybit REST call goes through bybitRequest: V5 header auth stamped with server time,
+// one timeout, retries for idempotent calls, and failures thrown as errors with a `code` the
+// callers branch on instead of raw retCodes.
+const REST_ERROR_CODES = {
+  10002: "timestamp",
+  10003: "auth",
+  10004: "auth",
+  10005: "auth",
+  10006: "rate_limit",
+  10016: "server",
+  10018: "rate_limit",
+  34040: "not_modified",
+  110007: "insufficient_balance",
+  131212: "insufficient_balance",
+};
+const RETRYABLE_REST_ERRORS = new Set(["network", "server", "rate_limit"]);
+
+// Bybit server time minus local time, kept current by syncServerTime.
+let serverTimeOffsetMs = 0;
+
+function bybitNow() {
+  return Date.now() + serverTimeOffsetMs;
+}
+
+function buildSortedQueryString(params) {
+  return Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${encodeURIComponent(params[key])}`)
+    .join("&");
+}
+
+// code: a REST_ERROR_CODES value, "rejected" for any other retCode, or "network" / "http".
+function bybitRestError(endpoint, code, message, { retCode = null, retMsg = null, status = null }) {
+  const err = new Error(message);
+  err.code = code;
+  err.endpoint = endpoint;
+  err.retCode = retCode;
+  err.retMsg = retMsg;
+  err.status = status;
+  return err;
+}
+
+function toBybitRestError(endpoint, err) {
+  const status = err.response?.status ?? null;
+  let code = "network";
+  if (status === 403 || status === 429) code = "rate_limit";
+  else if (status >= 500) code = "server";
+  else if (status) code = "http";
+
+  const detail = err.response?.data?.retMsg || err.message;
+  return bybitRestError(endpoint, code, status ? `HTTP ${status}: ${detail}` : detail, { status });
+}
+
+async function sendBybitRequest(method, endpoint, queryString, bodyString, auth) {
+  const headers = bodyString ? { "Content-Type": "application/json" } : {};
+
+  if (auth) {
+    const timestamp = String(bybitNow());
+    const payload = method === "GET" ? queryString : bodyString;
+    headers["X-BAPI-API-KEY"] = API_KEY;
+    headers["X-BAPI-TIMESTAMP"] = timestamp;
+    headers["X-BAPI-RECV-WINDOW"] = RECV_WINDOW;
+    headers["X-BAPI-SIGN"] = hmacSha256(`${timestamp}${API_KEY}${RECV_WINDOW}${payload}`);
+  }
+
+  let res;
+  try {
+    res = await axios.request({
+      method,
+      url: `${HTTP_BASE_URL}${endpoint}${queryString ? `?${queryString}` : ""}`,
+      headers,
+      // Sent as the exact string that was signed.
+      data: bodyString || undefined,
+      timeout: HTTP_TIMEOUT_MS,
+    });
+  } catch (err) {
+    noteRestQuota(endpoint, err.response?.headers, err.response?.status === 429);
+    throw toBybitRestError(endpoint, err);
+  }
+
+  const { retCode, retMsg, result } = res?.data || {};
+  noteRestQuota(endpoint, res?.headers, REST_ERROR_CODES[retCode] === "rate_limit");
+  if (retCode !== 0) {
+    throw bybitRestError(
+      endpoint,
+      REST_ERROR_CODES[retCode] || "rejected",
+      `${retMsg || "Unknown error"} (retCode ${retCode})`,
+      { retCode, retMsg }
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Resolves with `result` of a retCode 0 response, otherwise throws a bybitRestError (counted in
+ * bybit_bot_rest_errors_total unless it is "not_modified"). A rejected timestamp resyncs the
+ * clock and is retried once for any call, and a retCode rate limit is retried like an idempotent
+ * call, since Bybit drops both before acting on them. priority is a REST_PRIORITIES key.
+ */
+async function bybitRequest(
+  method,
+  endpoint,
+  { query = {}, body = null, auth = true, idempotent = method === "GET", priority = "normal" } = {}
+) {
+  const queryString = buildSortedQueryString(query);
+  const bodyString = body ? JSON.stringify(body) : "";
+  let retries = 0;
+  let resynced = false;
+
+  for (;;) {
+    await acquireRestSlot(endpoint, priority);
+
+    try {
+      return await sendBybitRequest(method, endpoint, queryString, bodyString, auth);
+    } catch (err) {
+      if (err.code === "timestamp" && !resynced) {
+        resynced = true;
+        await syncServerTime();
+        continue;
+      }
+
+      const retryable = idempotent || (err.code === "rate_limit" && err.retCode);
+      if (retryable && RETRYABLE_REST_ERRORS.has(err.code) && retries < REST_MAX_RETRIES) {
+        await sleep(REST_RETRY_DELAY_MS * 2 ** retries);
+        retries += 1;
+        continue;
+      }
+
+      if (err.code !== "not_modified") {
+        countRestError(endpoint, err.retCode ?? (err.status ? `http_${err.status}` : "network"));
+      }
+      throw err;
+    }
+  }
+}
+
+// Offset from the midpoint of the round trip. Keeps the previous offset on failure; null then.
+async function syncServerTime() {
+  try {
+    const sentAt = Date.now();
+    const result = await bybitRequest("GET", "/v5/market/time", { auth: false });
+    const receivedAt = Date.now();
+
+    const serverMs = result?.timeNano
+      ? Number(BigInt(result.timeNano) / 1_000_000n)
+      : Number(result?.timeSecond) * 1000;
+    if (!Number.isFinite(serverMs)) throw new Error("No server time in /v5/market/time response");
+
+    serverTimeOffsetMs = Math.round(serverMs - (sentAt + receivedAt) / 2);
+    setMetric("bybit_bot_clock_offset_ms", {}, serverTimeOffsetMs);
+    return serverTimeOffsetMs;
+  } catch (err) {
+    console.error("SERVER TIME SYNC ERROR:", err.message);
+    return null;
+  }
+}
+
+async function startServerTimeSync() {
+  const offset = await syncServerTime();
+  if (offset !== null) console.log(`ðŸ•’ SERVER CLOCK OFFSET: ${offset}ms`);
+
+  setInterval(syncServerTime, CLOCK_SYNC_INTERVAL_MS);
+}
+
+// ================= REST FALLBACKS =================
+// symbol = one symbol (every leg), no symbol = ALL mode list by settle coin. null on error.
+async function getPositionsViaRest(symbol = null, { priority = "normal" } = {}) {
+  try {
+    const result = await bybitRequest("GET", "/v5/position/list", {
+      query: {
+        category: "linear",
+        ...(symbol ? { symbol } : { settleCoin: POSITION_SETTLE_COIN, limit: 200 }),
+      },
+      priority,
+    });
+
+    const list = result?.list || [];
+    notePositionModeFromList(list);
+    return list;
+  } catch (err) {
+    console.error(`GET POSITION REST ERROR [${symbol || "ALL"}]:`, err.message);
+    return null;
+  }
+}
+
+// Reduce-only market order that closes `size` of a leg. Same body for REST and trade WS.
+function buildCloseOrder(symbol, side, size, positionIdx) {
+  return {
+    category: "linear",
+    symbol,
+    side: side === "Buy" ? "Sell" : "Buy",
+    orderType: "Market",
+    qty: String(size),
+    timeInForce: "IOC",
+    reduceOnly: true,
+    positionIdx,
+  };
+}
+
+async function closePositionViaRest(symbol, side, size, positionIdx = 0) {
+  const label = formatPositionLabel(symbol, positionIdx);
+  const body = buildCloseOrder(symbol, side, size, positionIdx);
+
+  if (DRY_RUN) {
+    recordDryRun("close via REST", { endpoint: "/v5/order/create", symbol, positionIdx, body });
+    return;
+  }
+
+  journalEvent("close_request", { transport: "rest", symbol, positionIdx, order: body });
+
+  try {
+    const result = await bybitRequest("POST", "/v5/order/create", { body, priority: "close" });
+
+    journalEvent("close_ack", {
+      transport: "rest",
+      symbol,
+      positionIdx,
+      retCode: 0,
+      orderId: result?.orderId || null,
+    });
+
+    console.log(`âœ… ${label} POSITION CLOSE SENT VIA REST:`, result);
+  } catch (err) {
+    journalEvent("close_ack", {
+      transport: "rest",
+      symbol,
+      positionIdx,
+      retCode: err.retCode,
+      retMsg: err.retMsg,
+      error: err.code,
+    });
+    console.error(`CLOSE POSITION REST ERROR [${label}]:`, err.message);
+    throw err;
+  }
+}
+
+// ================= INSTRUMENT INFO =================
+// symbol -> { qtyStep, minOrderQty, decimals, tickSize, priceDecimals }. Lot and price rules rarely
+// change, so this lives for the process.
+const instrumentLotSizeCache = new Map();
+
+async function getInstrumentLotSize(symbol) {
+  if (instrumentLotSizeCache.has(symbol)) return instrumentLotSizeCache.get(symbol);
+
+  try {
+    const result = await bybitRequest("GET", "/v5/market/instruments-info", {
+      query: { category: "linear", symbol },
+      auth: false,
+    });
+
+    const instrument = result?.list?.[0];
+    const filter = instrument?.lotSizeFilter;
+    const tickSize = Number(instrument?.priceFilter?.tickSize);
+    const qtyStep = Number(filter?.qtyStep);
+    const minOrderQty = Number(filter?.minOrderQty);
+
+    if (!(qtyStep > 0)) {
+      throw new Error(`No lotSizeFilter.qtyStep for ${symbol}`);
+    }
+
+    const lot = {
+      qtyStep,
+      minOrderQty: minOrderQty > 0 ? minOrderQty : qtyStep,
+      decimals: (String(filter.qtyStep).split(".")[1] || "").length,
+      tickSize: tickSize > 0 ? tickSize : null,
+      priceDecimals: (String(instrument?.priceFilter?.tickSize ?? "").split(".")[1] || "").length,
+    };
+
+    instrumentLotSizeCache.set(symbol, lot);
+    return lot;
+  } catch (err) {
+    console.error(`GET INSTRUMENT INFO ERROR [${symbol}]:`, err.message);
+    return null;
+  }
+}
+
+function roundQtyToStep(qty, lot) {
+  const steps = Math.floor(Number(qty) / lot.qtyStep + 1e-9);
+  return Number((steps * lot.qtyStep).toFixed(lot.decimals));
+}
+
+// direction "down" / "up"; without a known tick size the price is only trimmed to 8 decimals.
+function roundPriceToTick(price, lot, direction) {
+  if (!lot?.tickSize) return Number(Number(price).toFixed(8));
+
+  const ticks = Number(price) / lot.tickSize;
+  const rounded = direction === "up" ? Math.ceil(ticks - 1e-9) : Math.floor(ticks + 1e-9);
+  return Number((rounded * lot.tickSize).toFixed(lot.priceDecimals));
+}
+
+// ================= CLOSED PNL =================
+// Every linear closed-pnl row since startTime (all pages). null on error.
+async function getClosedPnlSince(startTime) {
+  const rows = [];
+  let cursor = "";
+
+  try {
+    do {
+      const result = await bybitRequest("GET", "/v5/position/closed-pnl", {
+        query: {
+          category: "linear",
+          startTime: String(startTime),
+          limit: "100",
+          ...(cursor ? { cursor } : {}),
+        },
+        priority: "background",
+      });
+
+      rows.push(...(result?.list || []));
+      cursor = result?.nextPageCursor || "";
+    } while (cursor);
+
+    return rows;
+  } catch (err) {
+    console.error("GET CLOSED PNL ERROR:", err.message);
+    return null;
+  }
+}
+
+// ================= NEW: UTA BALANCE CHECK =================
+// The UNIFIED wallet (parseUnifiedWallet) with the reserve coins. null on error.
+async function getUTAWallet() {
+  if (TRADE_MODE !== "mainnet") {
+    console.log("ðŸ§ª Skipping UTA reserve check balance fetch (Demo/Testnet mode active)");
+    return null;
+  }
+
+  try {
+    const result = await bybitRequest("GET", "/v5/account/wallet-balance", {
+      query: { accountType: "UNIFIED", coin: RESERVE_COINS.join(",") },
+      priority: "background",
+    });
+
+    const wallet = parseUnifiedWallet(result?.list?.[0]);
+    setLatestUtaWallet(wallet);
+    return wallet;
+  } catch (err) {
+    console.error("GET UTA WALLET ERROR:", err.message);
+    return null;
+  }
+}
+
+// ================= FUND BALANCE =================
+// { walletBalance, transferBalance } of one coin in the Funding account. null on error.
+async function getFundCoinBalance(coin) {
+  try {
+    const result = await bybitRequest("GET", "/v5/asset/transfer/query-account-coin-balance", {
+      query: { accountType: "FUND", coin },
+      priority: "background",
+    });
+
+    const toAmount = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+    return {
+      walletBalance: toAmount(result?.balance?.walletBalance ?? 0),
+      // What can leave the Funding account right now.
+      transferBalance: toAmount(result?.balance?.transferBalance ?? 0),
+    };
+  } catch (err) {
+    console.error(`GET FUND ${coin} BALANCE ERROR:`, err.message);
+    return null;
+  }
+}
+
+// ================= CLOSE VERIFICATION =================
+async function verifyPositionClosed(
+  symbol,
+  positionIdx = 0,
+  reason = "",
+  remainingSize = 0,
+  retries = CLOSE_VERIFY_RETRIES
+) {
+  const label = formatPositionLabel(symbol, positionIdx);
+  const startedAt = Date.now();
+  let attempts = 0;
+  let lastSize = null;
+  const observe = (outcome) => {
+    observeMetric(
+      "bybit_bot_close_verify_duration_seconds",
+      { outcome },
+      (Date.now() - startedAt) / 1000
+    );
+    journalEvent("close_verification", {
+      symbol,
+      positionIdx,
+      outcome,
+      attempts,
+      durationMs: Date.now() - startedAt,
+      remainingSize,
+      lastSize,
+      reason,
+    });
+  };
+
+  for (let i = 0; i < retries; i++) {
+    await sleep(CLOSE_VERIFY_DELAY);
+
+    attempts += 1;
+    incMetric("bybit_bot_close_verify_attempts_total");
+    const list = await getPositionsViaRest(symbol, { priority: "close" });
+    const pos = list?.find((p) => getPositionIdx(p) === positionIdx) || null;
+    if (list) lastSize = isOpenPosition(pos) ? pos.size : "0";
+
+    if (list && !isOpenPosition(pos)) {
+      clearLatestPosition(symbol, positionIdx);
+      resetPositionExitState(symbol, positionIdx);
+      if (!hasAnyCachedOpenPosition()) currentInterval = SLOW_INTERVAL;
+      console.log(`âœ… ${label} position confirmed closed${reason ? ` | ${reason}` : ""}`);
+      observe("closed");
+      return true;
+    }
+
+    if (!pos) continue;
+
+    setLatestPosition(pos);
+
+    if (remainingSize > 0 && Number(pos.size) <= remainingSize) {
+      console.log(
+        `âœ… ${label} partial close confirmed | size=${pos.size} (expected ${remainingSize})${
+          reason ? ` | ${reason}` : ""
+        }`
+      );
+      observe("reduced");
+      return true;
+    }
+
+    console.log(
+      `â ³ ${label} close verification attempt ${i + 1}/${retries}: position still open | size=${pos.size}${
+        remainingSize > 0 ? ` (expected ${remainingSize})` : ""
+      } | pnl=${Number(pos.unrealisedPnl || 0)}`
+    );
+  }
+
+  console.error(
+    remainingSize > 0
+      ? `â Œ ${label} partial close sent but size is still above ${remainingSize} after verification`
+      : `â Œ ${label} close sent but position still open after verification`
+  );
+  observe("still_open");
+  return false;
+}
+
+// ================= CLOSE POSITION =================
+/**
+ * Sends a reduce-only market order for `size` and waits until the leg is down to
+ * `remainingSize` (0 = fully closed, > 0 = partial close from the take-profit ladder).
+ * Returns false when nothing was sent because a close for the leg is already in flight.
+ */
+async function closePosition(
+  symbol,
+  side,
+  size,
+  positionIdx = 0,
+  { reason = "", remainingSize = 0, trigger = "manual" } = {}
+) {
+  const closeIdx = resolveClosePositionIdx(side, positionIdx);
+  const key = getPositionKey(symbol, closeIdx);
+  const label = formatPositionLabel(symbol, closeIdx);
+
+  if (replaySession) {
+    recordReplayClose(symbol, closeIdx, size, { reason, trigger });
+    return true;
+  }
+
+  if (DRY_RUN) {
+    if (shadowClosedPositions.has(key)) return false;
+    if (!(remainingSize > 0)) shadowClosedPositions.add(key);
+
+    const restOnly = TRADE_MODE === "demo" && FORCE_REST_CLOSE_ON_DEMO;
+    recordDryRun(`close ${label}`, {
+      symbol,
+      positionIdx: closeIdx,
+      trigger,
+      reason,
+      remainingSize,
+      transport: !restOnly && (isTradeWsReady() || isTradeWsPending()) ? "ws" : "rest",
+      order: buildCloseOrder(symbol, side, size, closeIdx),
+    });
+    return true;
+  }
+
+  if (closingPositions.has(key)) {
+    console.log(`â ³ ${label} close already in progress, skipping duplicate request...`);
+    return false;
+  }
+
+  closingPositions.add(key);
+
+  const result = {
+    symbol,
+    positionIdx: closeIdx,
+    side,
+    size: String(size),
+    remainingSize,
+    reason,
+    trigger,
+    transport: null,
+    fallback: null,
+    attempts: [],
+    confirmed: false,
+    error: null,
+    startedAt: Date.now(),
+    finishedAt: null,
+  };
+
+  try {
+    clearLatestPosition(symbol, closeIdx);
+
+    const restOnly = TRADE_MODE === "demo" && FORCE_REST_CLOSE_ON_DEMO;
+    let transport = "ws";
+
+    if (restOnly) {
+      console.log(`ðŸ§ª DEMO MODE: using REST fallback close for ${label}...`);
+      transport = "rest";
+    } else if (!isTradeWsReady() && !isTradeWsPending()) {
+      console.log(`âš ï¸ TRADE WS not ready, fallback to REST close for ${label}...`);
+      transport = "rest";
+    }
+
+    let attempt = await runCloseAttempt(symbol, side, size, closeIdx, transport, {
+      reason,
+      remainingSize,
+    });
+    result.attempts.push(attempt);
+
+    for (let round = 1; !attempt.confirmed && round <= CLOSE_ESCALATION_ROUNDS; round++) {
+      const remainder = await getCloseRemainder(symbol, closeIdx, remainingSize);
+
+      if (remainder === 0) {
+        console.log(`âœ… ${label} nothing left to close before escalation round ${round}`);
+        attempt = { ...attempt, confirmed: true };
+        break;
+      }
+
+      if (remainder === null) {
+        console.warn(`âš ï¸ ${label} escalation round ${round}: position unreadable, not resending`);
+        continue;
+      }
+
+      // Each round switches transport in case the one just used is what is failing.
+      transport =
+        attempt.transport === "ws" || restOnly || (!isTradeWsReady() && !isTradeWsPending())
+          ? "rest"
+          : "ws";
+
+      console.warn(
+        `ðŸš¨ ${label} CLOSE ESCALATION ${round}/${CLOSE_ESCALATION_ROUNDS}: ` +
+          `re-closing remainder ${remainder} via ${transport.toUpperCase()}`
+      );
+      incMetric("bybit_bot_close_escalations_total", { transport });
+      journalEvent("close_escalation", {
+        symbol,
+        positionIdx: closeIdx,
+        round,
+        transport,
+        remainder,
+        remainingSize,
+        reason,
+      });
+
+      attempt = await runCloseAttempt(symbol, side, remainder, closeIdx, transport, {
+        reason,
+        remainingSize,
+      });
+      result.attempts.push(attempt);
+    }
+
+    result.transport = attempt.transport;
+    result.fallback = attempt.fallback;
+    result.confirmed = attempt.confirmed;
+    result.error = attempt.confirmed ? null : attempt.error;
+
+    if (!result.confirmed) {
+      await flagManualAttention(symbol, side, closeIdx, { reason, remainingSize, result });
+    }
+
+    return true;
+  } catch (err) {
+    result.error = err.message;
+    console.error(`CLOSE POSITION ERROR [${label}]:`, err.message);
+    throw err;
+  } finally {
+    result.finishedAt = Date.now();
+    lastCloseResult = result;
+    incMetric("bybit_bot_close_attempts_total", {
+      transport: result.transport || "none",
+      outcome: result.confirmed ? "confirmed" : result.error ? "error" : "unconfirmed",
+    });
+
+    setTimeout(() => {
+      closingPositions.delete(key);
+    }, 3000);
+  }
+}
+
+/**
+ * One reduce-only close for `size` plus verification. "ws" falls back to REST inside the same
+ * attempt when the order is rejected or never acked. Errors are returned, not thrown, so the
+ * escalation loop can carry on with the other transport.
+ */
+async function runCloseAttempt(symbol, side, size, closeIdx, transport, { reason, remainingSize }) {
+  const label = formatPositionLabel(symbol, closeIdx);
+  const attempt = {
+    transport,
+    size: String(size),
+    fallback: null,
+    confirmed: false,
+    error: null,
+  };
+
+  try {
+    if (transport === "rest") {
+      await closePositionViaRest(symbol, side, size, closeIdx);
+      attempt.confirmed = await verifyPositionClosed(symbol, closeIdx, reason, remainingSize);
+      return attempt;
+    }
+
+    const payload = {
+      reqId: `close-${symbol}-${closeIdx}-${Date.now()}`,
+      header: {
+        "X-BAPI-TIMESTAMP": String(bybitNow()),
+        "X-BAPI-RECV-WINDOW": RECV_WINDOW,
+      },
+      op: "order.create",
+      args: [buildCloseOrder(symbol, side, size, closeIdx)],
+    };
+
+    journalEvent("close_request", {
+      transport: "ws",
+      reqId: payload.reqId,
+      symbol,
+      positionIdx: closeIdx,
+      order: payload.args[0],
+      reason,
+    });
+
+    try {
+      const ack = await sendTradeRequest(payload);
+      console.log(`âœ… ${label} CLOSE ACK VIA WS | orderId=${ack.data?.orderId || "n/a"}`);
+    } catch (err) {
+      attempt.fallback = err.code || "error";
+      console.warn(`âš ï¸ ${label} WS close ${attempt.fallback}: ${err.message}`);
+
+      // Without an ack the order may still have filled; a reduce-only retry for a ladder
+      // rung would then close too much, so check the position once before resending.
+      const maybeFilled = err.code === "timeout" || err.code === "disconnected";
+      if (maybeFilled && (await verifyPositionClosed(symbol, closeIdx, reason, remainingSize, 1))) {
+        attempt.confirmed = true;
+        return attempt;
+      }
+
+      console.log(`âš ï¸ Falling back to REST close for ${label}...`);
+      attempt.transport = "ws+rest";
+      await closePositionViaRest(symbol, side, size, closeIdx);
+    }
+
+    attempt.confirmed = await verifyPositionClosed(symbol, closeIdx, reason, remainingSize);
+  } catch (err) {
+    attempt.error = err.message;
+    console.error(`CLOSE ATTEMPT ERROR [${label}] via ${attempt.transport}:`, err.message);
+  }
+
+  return attempt;
+}
+
+// Size still to close so the leg ends at `remainingSize`, on the lot step. 0 = done, null = unknown.
+async function getCloseRemainder(symbol, positionIdx, remainingSize = 0) {
+  const list = await getPositionsViaRest(symbol, { priority: "close" });
+  if (!list) return null;
+
+  const pos = list.find((p) => getPositionIdx(p) === positionIdx) || null;
+  if (!isOpenPosition(pos)) return 0;
+
+  setLatestPosition(pos);
+
+  const excess = Number(pos.size) - remainingSize;
+  if (!(excess > 0)) return 0;
+
+  const lot = await getInstrumentLotSize(symbol);
+  return lot ? roundQtyToStep(excess, lot) : excess;
+}
+
+// ================= MANUAL ATTENTION =================
+async function flagManualAttention(symbol, side, positionIdx, { reason, remainingSize, result }) {
+  const key = getPositionKey(symbol, positionIdx);
+  const label = formatPositionLabel(symbol, positionIdx);
+  const list = await getPositionsViaRest(symbol);
+  const pos = list?.find((p) => getPositionIdx(p) === positionIdx) || null;
+  const size = list ? (isOpenPosition(pos) ? pos.size : "0") : "unknown";
+
+  const entry = {
+    symbol,
+    positionIdx,
+    side,
+    reason,
+    remainingSize,
+    size,
+    attempts: result.attempts.map((a) => `${a.transport}:${a.size}${a.error ? " error" : ""}`),
+    lastError: result.error,
+    since: Date.now(),
+  };
+
+  manualAttention.set(key, entry);
+  saveBotState();
+  journalEvent("manual_attention", { action: "flagged", ...entry });
+
+  const message = [
+    "ðŸš¨ CLOSE FAILED - MANUAL ATTENTION NEEDED",
+    `${label} ${side} | size now: ${size}${remainingSize > 0 ? ` (target ${remainingSize})` : ""}`,
+    `reason: ${reason || "n/a"}`,
+    `attempts: ${entry.attempts.join(", ")}`,
+    result.error ? `last error: ${result.error}` : null,
+    "Automatic exits for this position are stopped. Close it on the exchange, then clear the flag with /clearattention or POST /clear-attention.",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  rawConsole.error(message);
+  sendTelegram(message, { disableNotification: false }).catch(() => {});
+}
+
+// Clears every flagged leg of `symbol`, or all of them when symbol is null. Returns the count.
+function clearManualAttention(symbol = null, source = "manual") {
+  let cleared = 0;
+
+  for (const [key, entry] of manualAttention) {
+    if (symbol && entry.symbol !== symbol) continue;
+
+    manualAttention.delete(key);
+    journalEvent("manual_attention", { action: "cleared", source, ...entry });
+    cleared += 1;
+  }
+
+  if (cleared > 0) {
+    saveBotState();
+    console.log(`âœ… Manual attention cleared for ${symbol || "all symbols"} via ${source} (${cleared})`);
+  }
+
+  return cleared;
+}
+
+function needsManualAttention(symbol, positionIdx) {
+  return manualAttention.has(getPositionKey(symbol, positionIdx));
+}
+
+function formatManualAttentionSummary() {
+  if (manualAttention.size === 0) return "none";
+
+  return [...manualAttention.values()]
+    .map((e) => {
+      const since = new Date(e.since).toISOString();
+      return `${formatPositionLabel(e.symbol, e.positionIdx)} since ${since}`;
+    })
+    .join(", ");
+}
+
+function restoreManualAttention() {
+  const saved = loadBotState().manualAttention;
+  if (!saved || typeof saved !== "object") return;
+
+  for (const [key, entry] of Object.entries(saved)) {
+    manualAttention.set(key, entry);
+  }
+
+  if (manualAttention.size > 0) {
+    console.warn(
+      `ðŸš¨ Manual attention restored from ${BOT_STATE_FILE}: ${formatManualAttentionSummary()}`
+    );
+  }
+}
+
+// ================= EXCHANGE TP/SL =================
+// Price at which the leg's exit metric reaches value, or 0 when there is none.
+function getThresholdPrice(pos, type, value) {
+  const avgPrice = Number(pos.avgPrice);
+  const size = Number(pos.size);
+  const direction = pos.side === "Sell" ? -1 : 1;
+
+  if (!(avgPrice > 0) || !(size > 0) || !Number.isFinite(value)) return 0;
+
+  if (type === "move") return avgPrice * (1 + (direction * value) / 100);
+
+  let pnl = value;
+
+  if (type === "roe") {
+    const margin = getPositionMargin(pos);
+    if (!(margin > 0)) return 0;
+    pnl = (value * margin) / 100;
+  }
+
+  return avgPrice + pnl / (size * direction);
+}
+
+// { stopLoss, takeProfit } in exchange prices (0 = none), or null when the lot info is missing.
+async function getExchangeTpSlTarget(pos) {
+  const symbol = pos.symbol;
+  const side = getPositionIdx(pos) === 0 ? "" : pos.side;
+  const rule = getSymbolThresholds(symbol, side);
+  const isLong = pos.side === "Buy";
+
+  const lot = await getInstrumentLotSize(symbol);
+  if (!lot) return null;
+
+  let stopLoss =
+    rule.type === "price"
+      ? rule.stopLossPrice
+      : rule.maxLoss < 0
+        ? getThresholdPrice(pos, rule.type, rule.maxLoss)
+        : 0;
+  let takeProfit =
+    rule.type === "price"
+      ? rule.takeProfitPrice
+      : rule.takeProfit > 0
+        ? getThresholdPrice(pos, rule.type, rule.takeProfit)
+        : 0;
+
+  if (getTrailingConfig(symbol, side)) takeProfit = 0;
+
+  const buffer = (Number(pos.avgPrice) * EXCHANGE_TPSL_BUFFER_PERCENT) / 100;
+
+  if (stopLoss > 0) {
+    stopLoss = roundPriceToTick(
+      isLong ? stopLoss - buffer : stopLoss + buffer,
+      lot,
+      isLong ? "down" : "up"
+    );
+  }
+
+  if (takeProfit > 0) {
+    takeProfit = roundPriceToTick(
+      isLong ? takeProfit + buffer : takeProfit - buffer,
+      lot,
+      isLong ? "up" : "down"
+    );
+  }
+
+  return { stopLoss: stopLoss > 0 ? stopLoss : 0, takeProfit: takeProfit > 0 ? takeProfit : 0 };
+}
+
+function readExchangeTpSl(pos) {
+  if (pos.stopLoss === undefined && pos.takeProfit === undefined) return null;
+  return { stopLoss: Number(pos.stopLoss || 0), takeProfit: Number(pos.takeProfit || 0) };
+}
+
+function formatTpSlLevel(value) {
+  return value > 0 ? String(value) : "none";
+}
+
+async function setTradingStopViaRest(symbol, positionIdx, target) {
+  const label = formatPositionLabel(symbol, positionIdx);
+  const body = {
+    category: "linear",
+    symbol,
+    tpslMode: "Full",
+    positionIdx,
+    stopLoss: String(target.stopLoss),
+    takeProfit: String(target.takeProfit),
+    slTriggerBy: EXCHANGE_TPSL_TRIGGER_BY,
+    tpTriggerBy: EXCHANGE_TPSL_TRIGGER_BY,
+  };
+
+  if (DRY_RUN) {
+    recordDryRun("set exchange TP/SL", {
+      endpoint: "/v5/position/trading-stop",
+      symbol,
+      positionIdx,
+      body,
+    });
+    return;
+  }
+
+  try {
+    // Setting absolute levels twice lands in the same place, so this one may retry.
+    await bybitRequest("POST", "/v5/position/trading-stop", { body, idempotent: true });
+  } catch (err) {
+    // Levels already match, nothing to modify.
+    if (err.code === "not_modified") return;
+
+    console.error(`TRADING STOP ERROR [${label}]:`, err.message);
+    throw err;
+  }
+}
+
+// Hand edits are reported once per distinct value and left alone until the next re-sync.
+function detectManualTpSlChange(pos, state) {
+  const current = readExchangeTpSl(pos);
+  if (!current) return;
+
+  if (current.stopLoss === state.stopLoss && current.takeProfit === state.takeProfit) {
+    state.manualKey = null;
+    return;
+  }
+
+  const manualKey = `${current.stopLoss}/${current.takeProfit}`;
+  if (state.manualKey === manualKey) return;
+  state.manualKey = manualKey;
+
+  const positionIdx = getPositionIdx(pos);
+
+  journalEvent("tpsl_manual_change", {
+    symbol: pos.symbol,
+    positionIdx,
+    expected: { stopLoss: state.stopLoss, takeProfit: state.takeProfit },
+    found: current,
+  });
+
+  console.warn(
+    `âš ï¸ ${formatPositionLabel(pos.symbol, positionIdx)} EXCHANGE TP/SL CHANGED BY HAND | SL ${formatTpSlLevel(
+      state.stopLoss
+    )} -> ${formatTpSlLevel(current.stopLoss)} | TP ${formatTpSlLevel(
+      state.takeProfit
+    )} -> ${formatTpSlLevel(current.takeProfit)} | kept until the next size or threshold change`
+  );
+}
+
+// Safety net only: failures are logged and retried later, they never block the bot's own exits.
+async function syncExchangeTpSl(pos) {
+  if (!EXCHANGE_TPSL_ENABLED || REPLAY_FILE || !isOpenPosition(pos)) return;
+
+  const symbol = pos.symbol;
+  const positionIdx = getPositionIdx(pos);
+  const key = getPositionKey(symbol, positionIdx);
+  const label = formatPositionLabel(symbol, positionIdx);
+  if (exchangeTpSlInFlight.has(key) || closingPositions.has(key)) return;
+
+  try {
+    exchangeTpSlInFlight.add(key);
+
+    const now = Date.now();
+    const size = Number(pos.size);
+    let state = exchangeTpSlState.get(key);
+
+    if (state && !DRY_RUN && now - state.setAt > EXCHANGE_TPSL_SETTLE_MS) {
+      detectManualTpSlChange(pos, state);
+    }
+
+    const target = await getExchangeTpSlTarget(pos);
+    if (!target) return;
+
+    if (
+      state &&
+      state.size === size &&
+      state.stopLoss === target.stopLoss &&
+      state.takeProfit === target.takeProfit
+    ) {
+      return;
+    }
+
+    const targetKey = `${size}/${target.stopLoss}/${target.takeProfit}`;
+    if (state?.failedKey === targetKey && now - state.failedAt < EXCHANGE_TPSL_RETRY_MS) return;
+
+    const current = readExchangeTpSl(pos);
+    const alreadySet =
+      current?.stopLoss === target.stopLoss && current?.takeProfit === target.takeProfit;
+
+    try {
+      if (!alreadySet) await setTradingStopViaRest(symbol, positionIdx, target);
+    } catch (err) {
+      exchangeTpSlState.set(key, {
+        ...(state || { size: null, stopLoss: null, takeProfit: null, setAt: 0 }),
+        failedKey: targetKey,
+        failedAt: now,
+      });
+      return;
+    }
+
+    state = { size, ...target, setAt: Date.now(), manualKey: null, failedKey: null, failedAt: 0 };
+    exchangeTpSlState.set(key, state);
+
+    journalEvent("tpsl_sync", { symbol, positionIdx, side: pos.side, size: pos.size, ...target });
+
+    if (!alreadySet) {
+      console.log(
+        `ðŸ›¡ï¸ ${label} EXCHANGE TP/SL SET | SL ${formatTpSlLevel(target.stopLoss)} | TP ${formatTpSlLevel(
+          target.takeProfit
+        )} | size ${pos.size}`
+      );
+    }
+  } catch (err) {
+    console.error(`EXCHANGE TP/SL ERROR [${label}]:`, err.message);
+  } finally {
+    exchangeTpSlInFlight.delete(key);
+  }
+}
+
+// ================= TRANSFER LEDGER =================
+const TRANSFER_ENDPOINT = "/v5/asset/transfer/inter-transfer";
+const TRANSFER_LIST_ENDPOINT = "/v5/asset/transfer/query-inter-transfer-list";
+// Bybit transfer status -> ledger status
+const TRANSFER_STATUSES = { SUCCESS: "success", FAILED: "failed", PENDING: "pending" };
+
+function getUnresolvedTransfers() {
+  return [...transferLedger.values()].filter((e) => e.origin === "bot" && e.status === "pending");
+}
+
+function restoreTransferLedger() {
+  try {
+    if (fs.existsSync(TRANSFER_LEDGER_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(TRANSFER_LEDGER_FILE, "utf8")) || {};
+      transferLedger = new Map((saved.transfers || []).map((e) => [e.transferId, e]));
+      transfersReconciledAt = saved.reconciledAt ?? null;
+    }
+  } catch (err) {
+    console.error(`LOAD TRANSFER LEDGER ERROR (${TRANSFER_LEDGER_FILE}):`, err.message);
+  }
+
+  // A new ledger only looks for transfers the bot did not make from now on.
+  transfersReconciledAt ??= bybitNow();
+
+  const unresolved = getUnresolvedTransfers();
+  setMetric("bybit_bot_transfers_unresolved", {}, unresolved.length);
+  if (unresolved.length > 0) {
+    console.warn(
+      `âš ï¸ ${unresolved.length} transfer(s) from before the restart still unresolved: ${unresolved
+        .map((e) => `${e.amount} ${e.coin} ${e.direction} (${e.transferId})`)
+        .join(", ")}`
+    );
+  }
+}
+
+// Same temp-file-then-rename as the bot state. false when the ledger could not be written.
+function saveTransferLedger() {
+  if (REPLAY_FILE) return false;
+
+  try {
+    const cutoff = bybitNow() - TRANSFER_LOOKBACK_MS;
+    for (const [transferId, entry] of transferLedger) {
+      if (entry.status !== "pending" && entry.createdAt < cutoff) transferLedger.delete(transferId);
+    }
+
+    const tmp = `${TRANSFER_LEDGER_FILE}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify(
+        { reconciledAt: transfersReconciledAt, transfers: [...transferLedger.values()] },
+        null,
+        2
+      )
+    );
+    fs.renameSync(tmp, TRANSFER_LEDGER_FILE);
+    setMetric("bybit_bot_transfers_unresolved", {}, getUnresolvedTransfers().length);
+    return true;
+  } catch (err) {
+    console.error(`SAVE TRANSFER LEDGER ERROR (${TRANSFER_LEDGER_FILE}):`, err.message);
+    return false;
+  }
+}
+
+function settleTransfer(entry, status, fields = {}) {
+  const newlySettled = status === "success" && entry.status !== "success";
+  Object.assign(entry, fields, { status, updatedAt: bybitNow() });
+
+  // Counted when it settles, so a top-up confirmed only by the reconciler still uses the cap.
+  if (newlySettled && entry.topUp) {
+    rollTopUpDay();
+    if (getUtcDay(entry.createdAt) === topUpState.day) {
+      topUpState.transferred = roundDown(topUpState.transferred + Number(entry.amount), 6);
+      saveBotState();
+    }
+  }
+
+  // Keeps the total equity the wallet stream path uses right until the next reserve check.
+  if (newlySettled && Number.isFinite(latestFundBalances[entry.coin])) {
+    const sign = entry.toAccountType === "FUND" ? 1 : entry.fromAccountType === "FUND" ? -1 : 0;
+    latestFundBalances[entry.coin] += sign * Number(entry.amount);
+  }
+
+  if (newlySettled) {
+    const labels = { direction: entry.direction, coin: entry.coin };
+    incMetric("bybit_bot_transfer_amount_total", labels, Number(entry.amount));
+  }
+
+  saveTransferLedger();
+}
+
+// The exchange's record of one transfer: the list entry, null when Bybit has none, undefined
+// when the lookup itself failed.
+async function lookupTransfer(transferId) {
+  try {
+    const result = await bybitRequest("GET", TRANSFER_LIST_ENDPOINT, {
+      query: { transferId },
+      priority: "background",
+    });
+    return result?.list?.find((t) => t.transferId === transferId) || null;
+  } catch (err) {
+    console.error("TRANSFER LOOKUP ERROR:", err.message);
+    return undefined;
+  }
+}
+
+/**
+ * Records the transfer in the ledger, then sends it. A rejection on the first try is final;
+ * anything else is looked up by transferId before the next try, which reuses the same id.
+ * Returns true only once Bybit confirms the money moved.
+ */
+async function sendLedgerTransfer({
+  fn,
+  direction,
+  label,
+  from,
+  to,
+  amount,
+  coin = "USDT",
+  topUp = false,
+}) {
+  const unresolved = getUnresolvedTransfers();
+  if (unresolved.length > 0) {
+    console.warn(
+      `â ³ ${label} transfer held: earlier transfer ${unresolved[0].transferId} is still unresolved`
+    );
+    return false;
+  }
+
+  const body = {
+    transferId: crypto.randomUUID(),
+    coin,
+    amount: String(amount),
+    fromAccountType: from,
+    toAccountType: to,
+  };
+
+  if (DRY_RUN) {
+    recordDryRun(`transfer ${label}`, { endpoint: TRANSFER_ENDPOINT, body });
+    return true;
+  }
+
+  const entry = {
+    ...body,
+    origin: "bot",
+    function: fn,
+    direction,
+    topUp,
+    status: "pending",
+    attempts: 0,
+    createdAt: bybitNow(),
+    updatedAt: bybitNow(),
+  };
+  transferLedger.set(entry.transferId, entry);
+
+  // Never send what is not on disk: after a crash the reconciler must know to look for it.
+  if (!saveTransferLedger()) {
+    transferLedger.delete(entry.transferId);
+    console.error(`${label} TRANSFER ERROR: not sent, the transfer ledger could not be written`);
+    return false;
+  }
+
+  for (;;) {
+    entry.attempts += 1;
+    entry.updatedAt = bybitNow();
+    saveTransferLedger();
+
+    const journalAttempt = (data) =>
+      journalEvent("transfer", {
+        function: fn,
+        direction,
+        transferId: entry.transferId,
+        amount: entry.amount,
+        attempt: entry.attempts,
+        ...data,
+      });
+
+    let error;
+    try {
+      const result = await bybitRequest("POST", TRANSFER_ENDPOINT, {
+        body,
+        priority: "background",
+      });
+      journalAttempt({ retCode: 0, status: result?.status || null });
+      incMetric("bybit_bot_transfers_total", { direction, outcome: "success" });
+      settleTransfer(entry, "success");
+      return true;
+    } catch (err) {
+      error = err;
+    }
+
+    journalAttempt({ retCode: error.retCode, retMsg: error.retMsg, error: error.code });
+
+    // Bybit answered and refused (e.g. insufficient_balance): nothing moved.
+    if (error.retCode && entry.attempts === 1) {
+      incMetric("bybit_bot_transfers_total", { direction, outcome: "failed" });
+      settleTransfer(entry, "failed", { retCode: error.retCode, retMsg: error.retMsg });
+      console.warn(`âš ï¸ ${label} transfer failed: ${error.retMsg || "unknown transfer error"}`);
+      return false;
+    }
+
+    // A timeout or 5xx may still have moved the money; ask Bybit before trying again.
+    const record = await lookupTransfer(entry.transferId);
+
+    if (record) {
+      const status = TRANSFER_STATUSES[record.status] || "pending";
+      incMetric("bybit_bot_transfers_total", {
+        direction,
+        outcome: status === "pending" ? "error" : status,
+      });
+      if (status !== "pending") settleTransfer(entry, status);
+      console.warn(
+        `âš ï¸ ${label} transfer ${entry.transferId} got no clean answer (${error.message}); ` +
+          `Bybit reports it ${record.status}`
+      );
+      return status === "success";
+    }
+
+    if (record === null && error.retCode) {
+      incMetric("bybit_bot_transfers_total", { direction, outcome: "failed" });
+      settleTransfer(entry, "failed", { retCode: error.retCode, retMsg: error.retMsg });
+      console.warn(`âš ï¸ ${label} transfer failed: ${error.retMsg || "unknown transfer error"}`);
+      return false;
+    }
+
+    if (record === undefined || entry.attempts >= TRANSFER_MAX_ATTEMPTS) {
+      incMetric("bybit_bot_transfers_total", { direction, outcome: "error" });
+      console.error(
+        `${label} TRANSFER ERROR: ${error.message}; outcome of ${entry.transferId} unknown, ` +
+          "left for the transfer reconciler"
+      );
+      return false;
+    }
+
+    console.warn(
+      `âš ï¸ ${label} transfer ${entry.transferId} failed (${error.message}) and Bybit has no ` +
+        `record of it, retrying with the same transferId (${entry.attempts + 1}/${
+          TRANSFER_MAX_ATTEMPTS
+        })`
+    );
+    await sleep(REST_RETRY_DELAY_MS * 2 ** (entry.attempts - 1));
+  }
+}
+
+function reportExternalTransfer(record) {
+  const entry = {
+    transferId: record.transferId,
+    origin: "external",
+    coin: record.coin,
+    amount: String(record.amount),
+    fromAccountType: record.fromAccountType,
+    toAccountType: record.toAccountType,
+    status: TRANSFER_STATUSES[record.status] || "pending",
+    createdAt: Number(record.timestamp) || bybitNow(),
+    updatedAt: bybitNow(),
+  };
+  transferLedger.set(entry.transferId, entry);
+  saveTransferLedger();
+
+  incMetric("bybit_bot_external_transfers_total");
+  journalEvent("transfer_external", {
+    transferId: entry.transferId,
+    coin: entry.coin,
+    amount: entry.amount,
+    fromAccountType: entry.fromAccountType,
+    toAccountType: entry.toAccountType,
+    status: record.status,
+    transferTime: new Date(entry.createdAt).toISOString(),
+  });
+  console.warn(
+    `ðŸš¨ TRANSFER NOT MADE BY THE BOT: ${entry.amount} ${entry.coin} ${entry.fromAccountType} -> ${
+      entry.toAccountType
+    } at ${new Date(entry.createdAt).toISOString()} (${record.status}, ${entry.transferId})`
+  );
+}
+
+// Settles pending bot transfers from the exchange transfer list and reports every transfer
+// in it the ledger does not know.
+async function reconcileTransfers(source = "interval") {
+  if (isReconcilingTransfers) return;
+  isReconcilingTransfers = true;
+
+  try {
+    const now = bybitNow();
+    const unresolved = getUnresolvedTransfers();
+    const since = Math.min(transfersReconciledAt ?? now, ...unresolved.map((e) => e.createdAt));
+    // A minute of overlap covers transfers stamped just before the previous check.
+    const startTime = Math.max(since - 60 * 1000, now - TRANSFER_LOOKBACK_MS + 60 * 1000);
+
+    const records = [];
+    let cursor = "";
+    do {
+      const result = await bybitRequest("GET", TRANSFER_LIST_ENDPOINT, {
+        query: { startTime, endTime: now, limit: 50, ...(cursor ? { cursor } : {}) },
+        priority: "background",
+      });
+      records.push(...(result?.list || []));
+      cursor = result?.nextPageCursor || "";
+    } while (cursor);
+
+    const listed = new Set();
+
+    for (const record of records) {
+      listed.add(record.transferId);
+      const entry = transferLedger.get(record.transferId);
+
+      if (!entry) {
+        reportExternalTransfer(record);
+        continue;
+      }
+
+      const status = TRANSFER_STATUSES[record.status] || "pending";
+      if (entry.origin !== "bot" || status === entry.status) continue;
+
+      journalEvent("transfer_reconciled", {
+        transferId: entry.transferId,
+        direction: entry.direction,
+        amount: entry.amount,
+        from: entry.status,
+        to: status,
+        source,
+      });
+      console.warn(
+        `â„¹ï¸ TRANSFER RECONCILED: ${entry.amount} ${entry.coin} ${entry.direction} ${
+          entry.transferId
+        } ${entry.status} -> ${status}`
+      );
+      settleTransfer(entry, status);
+    }
+
+    for (const entry of unresolved) {
+      if (listed.has(entry.transferId) || now - entry.updatedAt < TRANSFER_NOT_FOUND_MS) continue;
+
+      journalEvent("transfer_reconciled", {
+        transferId: entry.transferId,
+        direction: entry.direction,
+        amount: entry.amount,
+        from: "pending",
+        to: "failed",
+        reason: "not_found",
+        source,
+      });
+      console.warn(
+        `â„¹ï¸ TRANSFER RECONCILED: ${entry.amount} ${entry.coin} ${entry.direction} ${
+          entry.transferId
+        } never reached Bybit, marked failed`
+      );
+      settleTransfer(entry, "failed");
+    }
+
+    transfersReconciledAt = now;
+    saveTransferLedger();
+  } catch (err) {
+    console.error("TRANSFER RECONCILE ERROR:", err.message);
+  } finally {
+    isReconcilingTransfers = false;
+  }
+}
+
+function startTransferReconciler() {
+  if (TRADE_MODE !== "mainnet") return;
+
+  console.log(
+    `ðŸ’¸ TRANSFER LEDGER: ${TRANSFER_LEDGER_FILE}, reconciled every ${Math.floor(
+      TRANSFER_RECONCILE_INTERVAL_MS / 1000
+    )} seconds`
+  );
+
+  reconcileTransfers("startup").catch(() => {});
+
+  setInterval(() => {
+    reconcileTransfers("interval").catch(() => {});
+  }, TRANSFER_RECONCILE_INTERVAL_MS);
+}
+
+// ================= AUTO TRANSFER (FUNDING TO UTA) =================
+async function transferFundingToUTA(amount = TRANSFER_AMOUNT, { topUp = false } = {}) {
+  if (TRADE_MODE !== "mainnet") {
+    console.log("ðŸ§ª Skipping FUND -> UTA transfer (Demo/Testnet mode active)");
+    return false;
+  }
+
+  const ok = await sendLedgerTransfer({
+    fn: "transferFundingToUTA",
+    direction: "fund_to_uta",
+    label: "FUND -> UTA",
+    from: "FUND",
+    to: "UNIFIED", // Unified Trading Account
+    amount,
+    topUp,
+  });
+
+  if (ok && !DRY_RUN) console.log(`ðŸ’¸ Success! Transferred ${amount} USDT from FUNDING to UTA.`);
+  return ok;
+}
+
+// ================= FUND -> UTA TOP-UP POLICY =================
+const TOPUP_REASONS = {
+  above_floor: "UTA balance is at or above TOPUP_FLOOR",
+  daily_loss_lockout: "daily loss lockout is active",
+  daily_cap_reached: "TOPUP_DAILY_CAP is used up for today",
+  fund_unknown: "FUND balance could not be read",
+  fund_empty: "FUND has no USDT available",
+  below_min: "amount is below RESERVE_TRANSFER_MIN_AMOUNT",
+  transfer_unresolved: "an earlier transfer is still unresolved",
+  below_floor: "UTA balance is below TOPUP_FLOOR",
+};
+
+// Never above the USDT reserve target, which TOPUP_TARGET is validated against.
+function getTopUpTarget(reserveTarget = getReserveRule("USDT").balance) {
+  return TOPUP_TARGET > 0 ? TOPUP_TARGET : reserveTarget;
+}
+
+function rollTopUpDay() {
+  const today = getUtcDay();
+  if (topUpState.day !== today) topUpState = { day: today, transferred: 0 };
+}
+
+function formatTopUpSummary() {
+  if (!(TOPUP_FLOOR > 0)) return "off";
+
+  rollTopUpDay();
+  const cap = TOPUP_DAILY_CAP > 0 ? TOPUP_DAILY_CAP : "no cap";
+  return `below ${TOPUP_FLOOR} -> ${getTopUpTarget()} | max ${TRANSFER_AMOUNT}/transfer | today ${
+    topUpState.transferred
+  }/${cap}`;
+}
+
+function restoreTopUpState() {
+  const saved = loadBotState().topUps;
+  if (saved && typeof saved === "object") topUpState = { ...topUpState, ...saved };
+  rollTopUpDay();
+}
+
+// Real transfers are always reported; any other decision, and a DRY_RUN transfer (which never
+// changes the balance), only when it differs from the last one. false when not reported.
+function reportTopUpDecision(decision, reason, details) {
+  const key = `${decision}:${reason}${decision === "transfer" ? `:${details.amount}` : ""}`;
+  if ((decision !== "transfer" || DRY_RUN) && key === lastTopUpDecision) return false;
+  lastTopUpDecision = key;
+
+  journalEvent("topup_decision", { decision, reason, ...details });
+  console.log(
+    `${decision === "transfer" ? "ðŸ’¸" : "â„¹ï¸"} TOP-UP ${decision.toUpperCase()}: ${
+      TOPUP_REASONS[reason]
+    }${details.amount ? ` | amount ${details.amount} (${details.limitedBy})` : ""} | UTA ${
+      details.utaBalance
+    } | floor ${details.floor} | target ${details.target} | today ${details.transferredToday}/${
+      details.dailyCap || "no cap"
+    }${details.fundAvailable === undefined ? "" : ` | FUND ${details.fundAvailable}`}`
+  );
+  return true;
+}
+
+async function runTopUpPolicy(utaBalance, reserveTarget, source) {
+  if (!(TOPUP_FLOOR > 0)) return;
+
+  rollTopUpDay();
+  const target = getTopUpTarget(reserveTarget);
+  const details = {
+    source,
+    utaBalance,
+    floor: TOPUP_FLOOR,
+    target,
+    transferredToday: topUpState.transferred,
+    dailyCap: TOPUP_DAILY_CAP,
+  };
+
+  if (utaBalance >= TOPUP_FLOOR) return reportTopUpDecision("none", "above_floor", details);
+
+  if (isDailyLossLockoutActive()) {
+    return reportTopUpDecision("skip", "daily_loss_lockout", details);
+  }
+
+  const capLeft = TOPUP_DAILY_CAP > 0 ? TOPUP_DAILY_CAP - topUpState.transferred : Infinity;
+  if (capLeft < RESERVE_TRANSFER_MIN_AMOUNT) {
+    return reportTopUpDecision("skip", "daily_cap_reached", details);
+  }
+
+  if (getUnresolvedTransfers().length > 0) {
+    return reportTopUpDecision("skip", "transfer_unresolved", details);
+  }
+
+  const fundAvailable = (await getFundCoinBalance("USDT"))?.transferBalance ?? null;
+  if (fundAvailable === null) return reportTopUpDecision("skip", "fund_unknown", details);
+  details.fundAvailable = fundAvailable;
+
+  if (fundAvailable < RESERVE_TRANSFER_MIN_AMOUNT) {
+    return reportTopUpDecision("skip", "fund_empty", details);
+  }
+
+  // The smallest of these decides the amount; it is reported as limitedBy.
+  const limits = [
+    ["target", target - utaBalance],
+    ["TRANSFER_AMOUNT", TRANSFER_AMOUNT],
+    ["TOPUP_DAILY_CAP", capLeft],
+    ["FUND available", fundAvailable],
+  ];
+  const [limitedBy, limit] = limits.reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+  const amount = roundDown(limit, 6);
+
+  if (amount < RESERVE_TRANSFER_MIN_AMOUNT) {
+    return reportTopUpDecision("skip", "below_min", { ...details, amount, limitedBy });
+  }
+
+  // An unchanged DRY_RUN top-up was already logged; do not log it again every check.
+  if (reportTopUpDecision("transfer", "below_floor", { ...details, amount, limitedBy })) {
+    await transferFundingToUTA(amount, { topUp: true });
+  }
+}
+
+// ================= NEW: UTA EXCESS -> FUNDING =================
+async function transferExcessUTAToFunding(amount, coin = "USDT") {
+  if (TRADE_MODE !== "mainnet") {
+    console.log("ðŸ§ª Skipping UTA excess transfer (Demo/Testnet mode active)");
+    return;
+  }
+
+  const normalizedAmount = roundDown(amount, 6);
+
+  if (!Number.isFinite(normalizedAmount) || normalizedAmount < RESERVE_TRANSFER_MIN_AMOUNT) {
+    console.log(
+      `â„¹ï¸ UTA excess transfer skipped. Amount too small: ${normalizedAmount} ${coin}`
+    );
+    return;
+  }
+
+  const hasOpenPosition = await hasOpenPositionForReserveProtection();
+  if (hasOpenPosition) {
+    console.log(
+      "â ¸ï¸ UTA -> FUND transfer skipped because there is still an open position."
+    );
+    return;
+  }
+
+  const ok = await sendLedgerTransfer({
+    fn: "transferExcessUTAToFunding",
+    direction: "uta_to_fund",
+    label: "UTA -> FUND",
+    from: "UNIFIED",
+    to: "FUND",
+    amount: normalizedAmount,
+    coin,
+  });
+
+  if (ok && !DRY_RUN) {
+    console.log(
+      `ðŸ’¼ Reserve maintained: transferred ${normalizedAmount} ${coin} excess from UTA to Funding.`
+    );
+  }
+}
+
+async function maintainUTAReserveBalance(source = "interval") {
+  if (isReserveMaintaining) {
+    console.log(`â ³ Reserve maintenance already running, skipping duplicate cycle... [${source}]`);
+    return;
+  }
+
+  isReserveMaintaining = true;
+
+  try {
+    if (TRADE_MODE !== "mainnet") {
+      console.log("ðŸ§ª Skipping reserve maintenance (Demo/Testnet mode active)");
+      return;
+    }
+
+    const wallet = await getUTAWallet();
+
+    if (wallet === null) {
+      console.warn(`âš ï¸ Unable to read UTA wallet. Reserve maintenance skipped. [${source}]`);
+      return;
+    }
+
+    const fundBalances = {};
+    for (const coin of RESERVE_COINS) {
+      const balance = await getFundCoinBalance(coin);
+      if (balance) fundBalances[coin] = balance.walletBalance;
+    }
+    latestFundBalances = fundBalances;
+
+    let hasOpenPosition = null;
+
+    for (const rule of evaluateReserveRules(wallet, fundBalances)) {
+      const { coin, available, target, excess } = rule;
+
+      if (rule.skipped) {
+        console.warn(`âš ï¸ UTA ${coin} reserve check skipped: ${rule.skipped} [${source}]`);
+        continue;
+      }
+
+      console.log(
+        `ðŸ ¦ UTA ${coin} availableToWithdraw: ${available} | reserve target: ${target} ` +
+          `(${formatReserveRule(coin)}) | source: ${source}`
+      );
+
+      if (excess >= RESERVE_TRANSFER_MIN_AMOUNT) {
+        // Checked once per cycle, only when some coin has an excess.
+        hasOpenPosition ??= await hasOpenPositionForReserveProtection();
+
+        if (hasOpenPosition) {
+          console.log(
+            `â ¸ï¸ UTA ${coin} reserve excess detected, but transfer to Funding is skipped because an open position is still present.`
+          );
+          continue;
+        }
+
+        console.log(
+          `ðŸ’¡ UTA ${coin} exceeds reserve by ${excess}. Transferring excess to Funding...`
+        );
+        await transferExcessUTAToFunding(excess, coin);
+      } else {
+        console.log(`âœ… UTA ${coin} reserve OK. No excess transfer needed.`);
+        if (coin === "USDT") await runTopUpPolicy(available, target, source);
+      }
+    }
+  } catch (err) {
+    console.error("MAINTAIN UTA RESERVE ERROR:", err.message);
+  } finally {
+    isReserveMaintaining = false;
+  }
+}
+
+function startUTAReserveMaintainer() {
+  console.log(
+    `ðŸ›¡ï¸ UTA reserve maintainer active: keeping ${formatReserveRules()} in UTA, checking every ${Math.floor(
+      RESERVE_CHECK_INTERVAL_MS / 1000
+    )} seconds.`
+  );
+  console.log(`ðŸ’¸ FUND -> UTA top-ups: ${formatTopUpSummary()}`);
+
+  // initial run
+  maintainUTAReserveBalance("startup").catch(() => {});
+
+  setInterval(() => {
+    maintainUTAReserveBalance("interval").catch(() => {});
+  }, RESERVE_CHECK_INTERVAL_MS);
+}
+
+// ================= MONITOR =================
+async function monitorPosition(pos, { source = "" } = {}) {
+  const symbol = pos.symbol;
+  const pnl = Number(pos.unrealisedPnl || 0);
+  const size = pos.size;
+  const side = pos.side;
+  const positionIdx = getPositionIdx(pos);
+  const label = formatPositionLabel(symbol, positionIdx);
+  const rule = getSymbolThresholds(symbol, positionIdx === 0 ? "" : side);
+  const { type, maxLoss, takeProfit } = rule;
+  const unit = type === "price" ? "USDT" : THRESHOLD_TYPE_UNITS[type];
+  const metric = getExitMetric(pos, type);
+  const logPnl = source !== "ticker" || claimTickLog(symbol, positionIdx);
+
+  if (needsManualAttention(symbol, positionIdx)) {
+    if (logPnl) {
+      console.warn(`ðŸš¨ ${label} needs manual attention, automatic exits stopped | PnL (USDT): ${pnl}`);
+    }
+    return;
+  }
+
+  if (isDailyLossLockoutActive()) {
+    const reason = `daily loss lockout | counted=${getDailyLossCounted()} | limit=${DAILY_MAX_LOSS} | pnl=${pnl}`;
+    console.log(`ðŸ›‘ ${label} DAILY LOSS LOCKOUT active. Closing position...`);
+    await closeOnTrigger(pos, "daily_loss_lockout", reason);
+    return;
+  }
+
+  const state = getPositionExitState(pos);
+  const trailing = getTrailingConfig(symbol, positionIdx === 0 ? "" : side);
+
+  if (logPnl) {
+    console.log(
+      `ðŸ“Š ${label} PnL (USDT): ${pnl}${exitsPaused ? " | exits paused" : ""}${
+        type === "roe" || type === "move" ? ` | ${type.toUpperCase()}: ${roundDown(metric, 4)}%` : ""
+      }${type === "price" ? ` | mark: ${pos.markPrice}` : ""}${
+        state.trailingActive ? ` | trailing peak: ${state.peak}` : ""
+      }`
+    );
+  }
+
+  if (exitsPaused) return;
+
+  if (!Number.isFinite(metric)) {
+    console.warn(`âš ï¸ ${label} cannot compute ${type} from position data, thresholds skipped this tick`);
+    return;
+  }
+
+  if (type === "price") {
+    const hit = getPriceLevelHit(pos, rule);
+
+    if (hit === "stop") {
+      console.log(`ðŸš¨ ${label} STOP PRICE HIT (${rule.stopLossPrice}). Closing position...`);
+      await closeOnTrigger(
+        pos,
+        "stop_price",
+        `stop price ${rule.stopLossPrice} | mark=${pos.markPrice} | pnl=${pnl}`
+      );
+      return;
+    }
+
+    if (hit === "take" && !trailing) {
+      console.log(`ðŸŽ¯ ${label} TAKE PROFIT PRICE HIT (${rule.takeProfitPrice}). Closing position...`);
+      await closeOnTrigger(
+        pos,
+        "take_profit_price",
+        `take profit price ${rule.takeProfitPrice} | mark=${pos.markPrice} | pnl=${pnl}`
+      );
+      return;
+    }
+  } else if (metric <= maxLoss) {
+    console.log(`ðŸš¨ ${label} MAX LOSS HIT (${maxLoss} ${unit}). Closing position...`);
+    await closeOnTrigger(
+      pos,
+      "max_loss",
+      `max loss ${maxLoss} ${unit} | value=${roundDown(metric, 4)} | pnl=${pnl}`
+    );
+    return;
+  }
+
+  const breakEven = getBreakEvenConfig(symbol, positionIdx === 0 ? "" : side);
+
+  if (breakEven && isBreakEvenArmed(pos, state) && pnl <= breakEven.buffer) {
+    const reason = `break-even stop | buffer=${breakEven.buffer} | entry=${pos.avgPrice} | pnl=${pnl}`;
+    console.log(`ðŸ›¡ï¸ ${label} BREAK-EVEN STOP HIT (${reason}). Closing position...`);
+    await closeOnTrigger(pos, "break_even_stop", reason);
+    return;
+  }
+
+  if (breakEven && !isBreakEvenArmed(pos, state) && metric >= breakEven.trigger) {
+    armBreakEven(pos, state, breakEven, metric, unit);
+  }
+
+  const ladder = getTakeProfitLadder(symbol);
+  const hitRungs = ladder.filter((rung, i) => !state.firedRungs.includes(i) && metric >= rung.level);
+
+  if (hitRungs.length > 0) {
+    await closeTakeProfitRungs(pos, state, ladder, hitRungs, metric, unit);
+    return;
+  }
+
+  if (trailing) {
+    if (!state.trailingActive && metric >= trailing.activation) {
+      state.trailingActive = true;
+      state.peak = metric;
+      console.log(
+        `ðŸŽ¯ ${label} TRAILING ARMED at ${roundDown(metric, 4)} ${unit} (activation ${trailing.activation})`
+      );
+    }
+
+    if (!state.trailingActive) return;
+
+    if (metric > state.peak) state.peak = metric;
+
+    const allowed = getTrailingAllowedGiveback(state.peak, trailing);
+    const giveback = state.peak - metric;
+
+    if (giveback >= allowed) {
+      const reason = `trailing stop | peak=${roundDown(state.peak, 4)} ${unit} | value=${roundDown(
+        metric,
+        4
+      )} | giveback=${roundDown(giveback, 4)}/${roundDown(allowed, 4)} | pnl=${pnl}`;
+      console.log(`ðŸŽ¯ ${label} TRAILING STOP HIT (${reason}). Closing position...`);
+      await closeOnTrigger(pos, "trailing_stop", reason, { peak: state.peak });
+    }
+
+    return;
+  }
+
+  if (type !== "price" && metric >= takeProfit) {
+    console.log(`ðŸŽ¯ ${label} TAKE PROFIT HIT (${takeProfit} ${unit}). Closing position...`);
+    await closeOnTrigger(
+      pos,
+      "take_profit",
+      `take profit ${takeProfit} ${unit} | value=${roundDown(metric, 4)} | pnl=${pnl}`
+    );
+    return;
+  }
+}
+
+// Every rung hit on this tick goes out as one order. Rungs are marked fired only once that order
+// was sent; a rung too small to send stays pending and is folded into the next rung that hits.
+async function closeTakeProfitRungs(pos, state, ladder, hitRungs, metric, unit) {
+  const symbol = pos.symbol;
+  const side = pos.side;
+  const positionIdx = getPositionIdx(pos);
+  const label = formatPositionLabel(symbol, positionIdx);
+  const currentSize = Number(pos.size);
+  const rungNumbers = hitRungs.map((r) => ladder.indexOf(r) + 1);
+
+  const lot = await getInstrumentLotSize(symbol);
+  if (!lot) {
+    console.warn(`âš ï¸ ${label} lot size unknown, take-profit ladder skipped this tick`);
+    return;
+  }
+
+  const percent = hitRungs.reduce((sum, r) => sum + r.percent, 0);
+  let qty = hitRungs.some((r) => r.rest)
+    ? currentSize
+    : Math.min(currentSize, roundQtyToStep((state.originalSize * percent) / 100, lot));
+  let remainingSize = roundQtyToStep(currentSize - qty, lot);
+
+  // A remainder below the exchange minimum could never be closed on its own.
+  if (remainingSize > 0 && remainingSize < lot.minOrderQty) {
+    qty = currentSize;
+    remainingSize = 0;
+  }
+
+  if (qty < lot.minOrderQty) {
+    const skipKey = rungNumbers.join("+");
+    if (state.skippedRungs !== skipKey) {
+      state.skippedRungs = skipKey;
+      console.log(
+        `â„¹ï¸ ${label} take-profit rung ${skipKey} qty ${qty} is below minOrderQty ` +
+          `${lot.minOrderQty}, kept pending for the next rung`
+      );
+    }
+    return;
+  }
+
+  const reason = `take profit rung ${rungNumbers.join("+")}/${ladder.length} at ${hitRungs
+    .map((r) => r.level)
+    .join("+")} ${unit} | value=${roundDown(metric, 4)} | closed=${qty} | remaining=${remainingSize}/${
+    state.originalSize
+  } | pnl=${Number(pos.unrealisedPnl || 0)}`;
+
+  // A close still in flight (or in its cool-down) would swallow this one; retry on a later tick.
+  const closeKey = getPositionKey(symbol, resolveClosePositionIdx(side, positionIdx));
+  if (closingPositions.has(closeKey)) return;
+
+  console.log(`ðŸŽ¯ ${label} TAKE PROFIT RUNG HIT (${reason}). Closing ${qty}...`);
+  const sent = await closeOnTrigger(pos, "take_profit_rung", reason, {
+    size: String(qty),
+    remainingSize,
+    rungs: rungNumbers,
+  });
+
+  if (sent) {
+    for (const rung of hitRungs) state.firedRungs.push(ladder.indexOf(rung));
+    state.skippedRungs = null;
+  }
+}
+
+// Journals the trigger with the position snapshot it fired on, then closes. Returns whether the
+// close was sent.
+async function closeOnTrigger(
+  pos,
+  trigger,
+  reason,
+  { size = pos.size, remainingSize = 0, ...extra } = {}
+) {
+  const positionIdx = getPositionIdx(pos);
+
+  journalEvent("threshold", {
+    trigger,
+    symbol: pos.symbol,
+    positionIdx,
+    side: pos.side,
+    size: pos.size,
+    closeSize: String(size),
+    remainingSize,
+    avgPrice: pos.avgPrice,
+    markPrice: pos.markPrice,
+    unrealisedPnl: Number(pos.unrealisedPnl || 0),
+    reason,
+    ...extra,
+  });
+
+  return closePosition(pos.symbol, pos.side, size, positionIdx, { reason, remainingSize, trigger });
+}
+
+// Each hedge leg is evaluated on its own against its own thresholds.
+async function monitorSymbol(symbol) {
+  const positions = await getSymbolPositions(symbol);
+  if (positions === null) return;
+
+  if (positions.length === 0) {
+    if (!WATCH_ALL_SYMBOLS) console.log(`ðŸ“­ ${symbol}: No open position`);
+    return;
+  }
+
+  for (const pos of positions) {
+    await monitorPosition(pos);
+    syncExchangeTpSl(pos);
+  }
+}
+
+async function monitor(symbols = getWatchedSymbols(), source = "unknown") {
+  if (WATCH_ALL_SYMBOLS && symbols.length === 0) {
+    console.log("ðŸ“­ No open position");
+  }
+
+  await Promise.all(symbols.map((symbol) => runSymbolMonitorSafely(symbol, source)));
+
+  syncTickerSubscriptions();
+  currentInterval = hasAnyCachedOpenPosition() ? FAST_INTERVAL : SLOW_INTERVAL;
+}
+
+// Manual close of every open watched leg (optionally one symbol). Returns how many were sent.
+async function closeOpenPositions(symbol = null, reason = "manual close") {
+  const positions = (await getOpenPositions()).filter((p) => !symbol || p.symbol === symbol);
+
+  for (const pos of positions) {
+    console.log(
+      `ðŸ›‘ ${formatPositionLabel(pos.symbol, getPositionIdx(pos))} MANUAL CLOSE (${reason}). Closing position...`
+    );
+    journalEvent("manual_close", {
+      symbol: pos.symbol,
+      positionIdx: getPositionIdx(pos),
+      side: pos.side,
+      size: pos.size,
+      unrealisedPnl: Number(pos.unrealisedPnl || 0),
+      reason,
+    });
+    await closePosition(pos.symbol, pos.side, pos.size, getPositionIdx(pos), { reason });
+  }
+
+  return positions.length;
+}
+
+// ================= EXECUTION GUARD =================
+// One lock per symbol so a slow close on one symbol never blocks the others.
+async function runSymbolMonitorSafely(symbol, source = "unknown") {
+  if (executingSymbols.has(symbol)) return;
+
+  try {
+    executingSymbols.add(symbol);
+    await monitorSymbol(symbol);
+  } catch (err) {
+    console.error(`âš ï¸ MONITOR ERROR [${source}] [${symbol}]:`, err.message);
+  } finally {
+    executingSymbols.delete(symbol);
+  }
+}
+
+// Tick path: evaluates the cached legs as they are, never goes to REST. Needs the private stream,
+// otherwise a leg closed elsewhere could still be sitting in the cache.
+async function runTickMonitorSafely(symbol) {
+  if (!privateReady || executingSymbols.has(symbol)) return;
+
+  try {
+    executingSymbols.add(symbol);
+
+    for (const { position } of getCachedSymbolEntries(symbol)) {
+      if (isOpenPosition(position)) await monitorPosition(position, { source: "ticker" });
+    }
+  } catch (err) {
+    console.error(`âš ï¸ MONITOR ERROR [ticker] [${symbol}]:`, err.message);
+  } finally {
+    executingSymbols.delete(symbol);
+  }
+}
+
+async function runMonitorSafely(source = "unknown", symbols) {
+  try {
+    await monitor(symbols, source);
+  } catch (err) {
+    console.error(`âš ï¸ MONITOR ERROR [${source}]:`, err.message);
+  }
+}
+
+// ================= PRIVATE WS =================
+function connectPrivateWS() {
+  let retry = 0;
+
+  const openConnection = () => {
+    console.log(`ðŸ”Œ Connecting PRIVATE WS (${TRADE_MODE})...`);
+    privateWs = new WebSocket(PRIVATE_WS_URL);
+
+    privateWs.on("open", () => {
+      console.log("âœ… PRIVATE WS CONNECTED");
+      retry = 0;
+
+      const { expires, signature } = generateWsAuth();
+
+      privateWs.send(
+        JSON.stringify({
+          op: "auth",
+          args: [API_KEY, expires, signature],
+        })
+      );
+    });
+
+    privateWs.on("message", async (raw) => {
+      const msg = safeJsonParse(raw);
+      if (!msg) return;
+
+      if (msg.op === "auth" && (msg.success === true || msg.retCode === 0)) {
+        console.log("ðŸ” PRIVATE WS AUTH OK");
+
+        privateWs.send(
+          JSON.stringify({
+            op: "subscribe",
+            args: ["position", "order", "wallet", "execution"],
+          })
+        );
+
+        privateReady = true;
+
+        if (privateHeartbeat) clearInterval(privateHeartbeat);
+        privateHeartbeat = startHeartbeat(privateWs, "PRIVATE");
+        return;
+      }
+
+      if (msg.op === "pong") return;
+
+      if (
+        msg.op === "subscribe" &&
+        (msg.success === true || msg.retCode === 0 || msg.ret_msg === "subscribe")
+      ) {
+        console.log("ðŸ“¡ PRIVATE WS SUBSCRIBED");
+        return;
+      }
+
+      if (msg.topic === "position" && Array.isArray(msg.data)) {
+        if (POSITION_RECORD_FILE) recordPositionMessage(msg);
+
+        const positions = getWatchedSymbolPositions(msg.data);
+        if (positions.length === 0) return;
+
+        notePositionModeFromList(positions);
+
+        for (const pos of positions) {
+          if (!isOpenPosition(pos)) {
+            clearLatestPosition(pos.symbol, getPositionIdx(pos));
+            resetPositionExitState(pos.symbol, getPositionIdx(pos));
+          } else {
+            setLatestPosition(pos);
+          }
+        }
+
+        await runMonitorSafely(
+          "position-stream",
+          [...new Set(positions.map((p) => p.symbol))]
+        );
+        return;
+      }
+
+      if (msg.topic === "wallet" && Array.isArray(msg.data)) {
+        const wallet = extractUnifiedWalletFromWalletStream(msg.data);
+
+        if (wallet !== null) {
+          setLatestUtaWallet(wallet);
+
+          console.log(
+            `ðŸ’° WALLET WS UPDATE: UTA available/reserve ${formatUtaReserveSummary()}`
+          );
+
+          maybeTriggerFastReserveTransferFromWallet(wallet, "wallet-stream");
+        } else {
+          console.log("â„¹ï¸ WALLET WS UPDATE received, but no UNIFIED wallet was found.");
+        }
+
+        return;
+      }
+
+      if (msg.topic === "execution" && Array.isArray(msg.data)) {
+        const closing = msg.data.some(
+          (exec) => isWatchedSymbol(exec.symbol) && Number(exec.closedSize || 0) > 0
+        );
+
+        if (closing) scheduleDailyPnlRefresh("execution-stream");
+        return;
+      }
+
+      if (msg.topic === "order" && Array.isArray(msg.data)) {
+        for (const order of msg.data) {
+          if (!isWatchedSymbol(order.symbol)) continue;
+
+          console.log(
+            `ðŸ§¾ ORDER UPDATE: ${order.symbol} | ${order.orderStatus || "UNKNOWN"} | ${order.side} | qty=${order.qty}`
+          );
+        }
+
+        return;
+      }
+    });
+
+    privateWs.on("close", async () => {
+      privateReady = false;
+      incMetric("bybit_bot_ws_reconnects_total", { socket: "private" });
+
+      if (privateHeartbeat) {
+        clearInterval(privateHeartbeat);
+        privateHeartbeat = null;
+      }
+
+      clearReserveFastTransferTimer();
+
+      const wait = Math.min(30000, 2000 * Math.pow(2, retry));
+      console.log(`âš ï¸ PRIVATE WS CLOSED â†’ reconnect in ${wait}ms`);
+
+      await sleep(wait);
+      retry++;
+      openConnection();
+    });
+
+    privateWs.on("error", (err) => {
+      console.error("PRIVATE WS ERROR:", err.message);
+    });
+  };
+
+  openConnection();
+}
+
+// ================= TRADE WS REQUESTS =================
+function isTradeWsReady() {
+  return tradeReady && tradeWs?.readyState === WebSocket.OPEN;
+}
+
+// Socket exists and is still connecting or authenticating, so a short wait is worth it.
+function isTradeWsPending() {
+  return (
+    !tradeReady &&
+    (tradeWs?.readyState === WebSocket.CONNECTING || tradeWs?.readyState === WebSocket.OPEN)
+  );
+}
+
+function tradeRequestError(code, message, ack = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.ack = ack;
+  return err;
+}
+
+function settleTradeRequest(reqId, outcome, err = null, ack = null) {
+  const entry = inFlightTradeRequests.get(reqId);
+  if (!entry) return false;
+
+  inFlightTradeRequests.delete(reqId);
+  clearTimeout(entry.timer);
+  incMetric("bybit_bot_trade_ws_requests_total", { outcome });
+
+  if (err) entry.reject(err);
+  else entry.resolve(ack);
+  return true;
+}
+
+function dispatchTradeRequest(payload, resolve, reject) {
+  const { reqId } = payload;
+
+  // The header timestamp must be fresh when the request actually leaves, not when it was queued.
+  payload.header = { ...payload.header, "X-BAPI-TIMESTAMP": String(bybitNow()) };
+
+  inFlightTradeRequests.set(reqId, {
+    resolve,
+    reject,
+    sentAt: Date.now(),
+    order: payload.args?.[0] || null,
+    timer: setTimeout(() => {
+      settleTradeRequest(
+        reqId,
+        "timeout",
+        tradeRequestError("timeout", `no ack within ${TRADE_WS_ACK_TIMEOUT_MS}ms`)
+      );
+    }, TRADE_WS_ACK_TIMEOUT_MS),
+  });
+
+  try {
+    tradeWs.send(JSON.stringify(payload));
+  } catch (err) {
+    settleTradeRequest(reqId, "send_error", tradeRequestError("send_error", err.message));
+  }
+}
+
+/**
+ * Sends a trade WS request and resolves with its ack once the response with the same reqId
+ * arrives. Rejects (err.code) on "rejected", "timeout", "disconnected", "expired" or
+ * "unavailable". While the socket is (re)authenticating the request waits in the outbound
+ * queue for up to TRADE_WS_QUEUE_TTL_MS and is dropped, never sent, once that passes.
+ */
+function sendTradeRequest(payload) {
+  return new Promise((resolve, reject) => {
+    if (isTradeWsReady()) {
+      dispatchTradeRequest(payload, resolve, reject);
+      return;
+    }
+
+    if (!isTradeWsPending()) {
+      incMetric("bybit_bot_trade_ws_requests_total", { outcome: "unavailable" });
+      reject(tradeRequestError("unavailable", "trade WS is not connected"));
+      return;
+    }
+
+    const entry = { payload, expiresAt: Date.now() + TRADE_WS_QUEUE_TTL_MS, resolve, reject };
+    entry.timer = setTimeout(() => {
+      const index = pendingTradeRequests.indexOf(entry);
+      if (index === -1) return;
+
+      pendingTradeRequests.splice(index, 1);
+      incMetric("bybit_bot_trade_ws_requests_total", { outcome: "expired" });
+      reject(tradeRequestError("expired", `not sent within ${TRADE_WS_QUEUE_TTL_MS}ms`));
+    }, TRADE_WS_QUEUE_TTL_MS);
+
+    pendingTradeRequests.push(entry);
+  });
+}
+
+function flushPendingTradeRequests() {
+  while (pendingTradeRequests.length && isTradeWsReady()) {
+    const entry = pendingTradeRequests.shift();
+    clearTimeout(entry.timer);
+
+    if (Date.now() >= entry.expiresAt) {
+      incMetric("bybit_bot_trade_ws_requests_total", { outcome: "expired" });
+      entry.reject(tradeRequestError("expired", `not sent within ${TRADE_WS_QUEUE_TTL_MS}ms`));
+      continue;
+    }
+
+    dispatchTradeRequest(entry.payload, entry.resolve, entry.reject);
+  }
+}
+
+function handleTradeRequestAck(msg) {
+  const reqId = msg.reqId || null;
+  const matched =
+    msg.retCode === 0
+      ? settleTradeRequest(reqId, "acked", null, msg)
+      : settleTradeRequest(
+          reqId,
+          "rejected",
+          tradeRequestError("rejected", `${msg.retCode} ${msg.retMsg || "rejected"}`, msg)
+        );
+
+  if (!matched) {
+    // The close already timed out and went to the REST fallback; keep the ack for the record.
+    console.warn(
+      `âš ï¸ TRADE WS ${msg.op} response for unknown or expired reqId ${reqId}: ${msg.retCode} ${
+        msg.retMsg || ""
+      }`
+    );
+  }
+
+  return matched;
+}
+
+// A dropped socket loses any ack still in flight; the order itself may or may not have landed.
+function failInFlightTradeRequests() {
+  for (const reqId of [...inFlightTradeRequests.keys()]) {
+    settleTradeRequest(
+      reqId,
+      "disconnected",
+      tradeRequestError("disconnected", "trade WS closed before the ack arrived")
+    );
+  }
+}
+
+// ================= TRADE WS =================
+function connectTradeWS() {
+  let retry = 0;
+
+  const openConnection = () => {
+    console.log(`ðŸ”Œ Connecting TRADE WS (${TRADE_MODE})...`);
+    tradeWs = new WebSocket(TRADE_WS_URL);
+
+    tradeWs.on("open", () => {
+      console.log("âœ… TRADE WS CONNECTED");
+      retry = 0;
+
+      const { expires, signature } = generateWsAuth();
+
+      tradeWs.send(
+        JSON.stringify({
+          op: "auth",
+          args: [API_KEY, expires, signature],
+        })
+      );
+    });
+
+    tradeWs.on("message", (raw) => {
+      const msg = safeJsonParse(raw);
+      if (!msg) return;
+
+      if (msg.op === "auth" && (msg.success === true || msg.retCode === 0)) {
+        console.log("ðŸ” TRADE WS AUTH OK");
+        tradeReady = true;
+
+        if (tradeHeartbeat) clearInterval(tradeHeartbeat);
+        tradeHeartbeat = startHeartbeat(tradeWs, "TRADE");
+
+        flushPendingTradeRequests();
+        return;
+      }
+
+      if (msg.op === "pong") return;
+
+      if (msg.op === "order.create") {
+        // Read before the ack settles the request and drops it from the map.
+        const order = inFlightTradeRequests.get(msg.reqId)?.order;
+        journalEvent("close_ack", {
+          transport: "ws",
+          symbol: order?.symbol,
+          positionIdx: order?.positionIdx,
+          reqId: msg.reqId || null,
+          retCode: msg.retCode,
+          retMsg: msg.retMsg,
+          orderId: msg.data?.orderId || null,
+        });
+
+        handleTradeRequestAck(msg);
+      }
+    });
+
+    tradeWs.on("close", async () => {
+      tradeReady = false;
+      failInFlightTradeRequests();
+      incMetric("bybit_bot_ws_reconnects_total", { socket: "trade" });
+
+      if (tradeHeartbeat) {
+        clearInterval(tradeHeartbeat);
+        tradeHeartbeat = null;
+      }
+
+      const wait = Math.min(30000, 2000 * Math.pow(2, retry));
+      console.log(`âš ï¸ TRADE WS CLOSED â†’ reconnect in ${wait}ms`);
+
+      await sleep(wait);
+      retry++;
+      openConnection();
+    });
+
+    tradeWs.on("error", (err) => {
+      console.error("TRADE WS ERROR:", err.message);
+    });
+  };
+
+  openConnection();
+}
+
+// ================= PUBLIC WS =================
+function sendTickerTopics(op, symbols) {
+  // Bybit takes at most 10 topics per public subscribe request.
+  for (let i = 0; i < symbols.length; i += 10) {
+    const chunk = symbols.slice(i, i + 10);
+    publicWs.send(JSON.stringify({ op, args: chunk.map((symbol) => `tickers.${symbol}`) }));
+
+    for (const symbol of chunk) {
+      if (op === "subscribe") {
+        tickerSubscriptions.add(symbol);
+      } else {
+        tickerSubscriptions.delete(symbol);
+        latestMarkPrices.delete(symbol);
+      }
+    }
+  }
+}
+
+// ALL mode follows the open positions, so topics come and go with them.
+function syncTickerSubscriptions() {
+  if (!publicReady || !publicWs || publicWs.readyState !== WebSocket.OPEN) return;
+
+  const wanted = new Set(getWatchedSymbols());
+
+  sendTickerTopics(
+    "subscribe",
+    [...wanted].filter((symbol) => !tickerSubscriptions.has(symbol))
+  );
+  sendTickerTopics(
+    "unsubscribe",
+    [...tickerSubscriptions].filter((symbol) => !wanted.has(symbol))
+  );
+}
+
+// Ticker deltas only carry the fields that changed; a tick without markPrice is ignored.
+function handleTicker(data) {
+  const symbol = data?.symbol;
+  const markPrice = Number(data?.markPrice);
+  if (!symbol || !(markPrice > 0)) return;
+
+  latestMarkPrices.set(symbol, { markPrice, updatedAt: Date.now() });
+
+  const entries = getCachedSymbolEntries(symbol).filter(({ position }) =>
+    isOpenPosition(position)
+  );
+  if (entries.length === 0) return;
+
+  // updatedAt stays untouched: it tracks exchange freshness for the cache TTL and the watchdog.
+  for (const entry of entries) {
+    entry.position = repricePosition(entry.position, markPrice);
+  }
+
+  runTickMonitorSafely(symbol);
+}
+
+// Ticks keep a healthy socket busy, so long silence means it is dead even if TCP hasn't noticed.
+function startPublicHeartbeat(ws) {
+  return setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (Date.now() - publicLastMessageAt > PUBLIC_WS_STALE_MS) {
+      console.warn(`âš ï¸ PUBLIC WS silent for ${PUBLIC_WS_STALE_MS}ms, reconnecting`);
+      ws.terminate();
+      return;
+    }
+
+    ws.send(JSON.stringify({ op: "ping" }));
+  }, 10_000);
+}
+
+function connectPublicWS() {
+  let retry = 0;
+
+  const openConnection = () => {
+    console.log(`ðŸ”Œ Connecting PUBLIC WS (${TRADE_MODE})...`);
+    publicWs = new WebSocket(PUBLIC_WS_URL);
+
+    publicWs.on("open", () => {
+      console.log("âœ… PUBLIC WS CONNECTED");
+      retry = 0;
+      publicReady = true;
+      publicLastMessageAt = Date.now();
+
+      if (publicHeartbeat) clearInterval(publicHeartbeat);
+      publicHeartbeat = startPublicHeartbeat(publicWs);
+
+      syncTickerSubscriptions();
+    });
+
+    publicWs.on("message", (raw) => {
+      publicLastMessageAt = Date.now();
+
+      const msg = safeJsonParse(raw);
+      if (!msg) return;
+
+      // Public streams answer a ping with op "ping" and ret_msg "pong".
+      if (msg.op === "ping" || msg.op === "pong") return;
+
+      if (msg.op === "subscribe") {
+        if (msg.success === false) {
+          console.warn("âš ï¸ PUBLIC WS SUBSCRIBE FAILED:", msg.ret_msg || "unknown error");
+        } else {
+          console.log("ðŸ“¡ PUBLIC WS SUBSCRIBED");
+        }
+        return;
+      }
+
+      if (typeof msg.topic === "string" && msg.topic.startsWith("tickers.")) {
+        handleTicker(msg.data);
+      }
+    });
+
+    publicWs.on("close", async () => {
+      publicReady = false;
+      tickerSubscriptions.clear();
+      latestMarkPrices.clear();
+      incMetric("bybit_bot_ws_reconnects_total", { socket: "public" });
+
+      if (publicHeartbeat) {
+        clearInterval(publicHeartbeat);
+        publicHeartbeat = null;
+      }
+
+      const wait = Math.min(30000, 2000 * Math.pow(2, retry));
+      console.log(`âš ï¸ PUBLIC WS CLOSED â†’ exchange PnL in use, reconnect in ${wait}ms`);
+
+      await sleep(wait);
+      retry++;
+      openConnection();
+    });
+
+    publicWs.on("error", (err) => {
+      console.error("PUBLIC WS ERROR:", err.message);
+    });
+  };
+
+  openConnection();
+}
+
+// ================= TELEGRAM COMMANDS =================
+const TELEGRAM_COMMAND_HELP = [
+  "/status - bot, connection and threshold status",
+  "/position - open positions with PnL",
+  "/close [SYMBOL] - close open positions (asks for confirmation)",
+  "/pause - stop automatic exits (daily loss lockout still enforced)",
+  "/resume - resume automatic exits",
+  "/settp <value> [SYMBOL] - set TAKE_PROFIT (or take profit price for price rules)",
+  "/setsl <value> [SYMBOL] - set MAX_LOSS (or stop price for price rules)",
+  "/reserve - run the UTA reserve check now",
+  "/transfer <amount> - move USDT from FUNDING to UTA (asks for confirmation)",
+  "/resetlock - clear the daily loss lockout (asks for confirmation)",
+  "/clearattention [SYMBOL] - re-enable automatic exits after a failed close",
+].join("\n");
+
+async function callTelegramApi(method, payload, timeout = 15000) {
+  const res = await axios.post(
+    `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`,
+    typeof payload.text === "string"
+      ? { ...payload, text: tagTelegramText(payload.text) }
+      : payload,
+    { timeout }
+  );
+  return res?.data?.result;
+}
+
+// Command replies skip the log queue so they are not stuck behind TELEGRAM_MIN_GAP_MS.
+async function replyTelegram(text, extra = {}) {
+  try {
+    return await callTelegramApi("sendMessage", { chat_id: TELEGRAM_CHAT_ID, text, ...extra });
+  } catch (err) {
+    incMetric("bybit_bot_telegram_send_failures_total");
+    rawConsole.error("TELEGRAM REPLY ERROR:", err.response?.data || err.message);
+    return null;
+  }
+}
+
+function isAuthorizedTelegramSender(chatId, userId) {
+  if (String(chatId) !== String(TELEGRAM_CHAT_ID)) return false;
+  if (TELEGRAM_ALLOWED_USER_IDS.length === 0) return true;
+  return TELEGRAM_ALLOWED_USER_IDS.includes(String(userId));
+}
+
+function buildStatusText() {
+  return [
+    "ðŸ“Š BOT STATUS",
+    `SYMBOLS: ${SYMBOLS_LABEL}`,
+    `MODE: ${TRADE_MODE}${DRY_RUN ? " (DRY RUN)" : ""}`,
+    `POSITION_MODE: ${formatPositionMode()}`,
+    `privateReady: ${privateReady}`,
+    `tradeReady: ${tradeReady}`,
+    `publicReady: ${publicReady}`,
+    `exitsPaused: ${exitsPaused}`,
+    `thresholds: ${formatThresholdsSummary()}`,
+    `tpLadder: ${formatLadderSummary()}`,
+    `breakEven: ${formatBreakEvenSummary()}`,
+    `trailing: ${formatTrailingSummary()}`,
+    `dailyLoss: ${formatDailyLossSummary()}`,
+    `manualAttention: ${formatManualAttentionSummary()}`,
+    `openPositions: ${formatOpenPositionsSummary()}`,
+    `utaAvailable/reserve: ${formatUtaReserveSummary()}`,
+    `uptimeSec: ${Math.floor(process.uptime())}`,
+  ].join("\n");
+}
+
+async function buildPositionText() {
+  const positions = await getOpenPositions();
+  if (positions.length === 0) return "ðŸ“­ No open position";
+
+  return positions
+    .map((pos) => {
+      const rule = getSymbolThresholds(pos.symbol, getPositionIdx(pos) === 0 ? "" : pos.side);
+      const metric = getExitMetric(pos, rule.type);
+
+      return [
+        `ðŸ“Š ${formatPositionLabel(pos.symbol, getPositionIdx(pos))} ${pos.side} ${pos.size}`,
+        `entry: ${pos.avgPrice} | mark: ${pos.markPrice}`,
+        `PnL: ${Number(pos.unrealisedPnl || 0)} USDT | ${rule.type}: ${roundDown(metric, 4)}`,
+        `rule: ${formatThresholdRule(rule)}`,
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+async function requestTelegramConfirmation(description, action) {
+  const token = crypto.randomBytes(6).toString("hex");
+
+  pendingTelegramConfirmations.set(token, {
+    description,
+    action,
+    expiresAt: Date.now() + TELEGRAM_CONFIRM_TTL_MS,
+  });
+
+  await replyTelegram(`âš ï¸ Confirm: ${description}?`, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: "Confirm", callback_data: `confirm:${token}` },
+          { text: "Cancel", callback_data: `cancel:${token}` },
+        ],
+      ],
+    },
+  });
+}
+
+function parseCommandSymbol(raw) {
+  if (!raw) return { symbol: null };
+
+  const symbol = String(raw).toUpperCase();
+  if (!isWatchedSymbol(symbol)) return { error: `${symbol} is not a watched symbol (${SYMBOLS_LABEL})` };
+
+  return { symbol };
+}
+
+// /settp and /setsl: USDT/% thresholds for pnl, roe and move rules, price levels for price rules.
+function applyThresholdCommand(command, args) {
+  const value = Number(args[0]);
+  const { symbol, error } = parseCommandSymbol(args[1]);
+
+  if (error) return `â Œ ${error}`;
+  if (!Number.isFinite(value)) return `â Œ Usage: ${command} <value> [SYMBOL]`;
+
+  const type = symbol ? getSymbolThresholdType(symbol) : THRESHOLD_TYPE;
+  const isTakeProfit = command === "/settp";
+  let field;
+
+  if (type === "price") {
+    if (!(value > 0)) return "â Œ Price levels must be positive";
+    field = isTakeProfit ? "takeProfitPrice" : "stopLossPrice";
+  } else if (isTakeProfit) {
+    if (!(value > 0)) return "â Œ TAKE_PROFIT must be positive";
+    field = "takeProfit";
+  } else {
+    if (!(value < 0)) return "â Œ MAX_LOSS must be negative";
+    field = "maxLoss";
+  }
+
+  setRuntimeThreshold(symbol, field, value);
+  console.log(`ðŸŽ¯ Threshold changed via Telegram: ${symbol || "all symbols"} ${field}=${value}`);
+
+  return `âœ… ${symbol || "all symbols"} ${field} = ${value}\nthresholds: ${formatThresholdsSummary()}`;
+}
+
+async function handleTelegramCommand(message) {
+  const text = String(message.text || "").trim();
+  if (!text.startsWith("/")) return;
+
+  const [rawCommand, ...args] = text.split(/\s+/);
+  const command = rawCommand.split("@")[0].toLowerCase();
+
+  switch (command) {
+    case "/start":
+    case "/help":
+      await replyTelegram(TELEGRAM_COMMAND_HELP);
+      return;
+
+    case "/status":
+      await replyTelegram(buildStatusText());
+      return;
+
+    case "/position":
+      await replyTelegram(await buildPositionText());
+      return;
+
+    case "/close": {
+      const { symbol, error } = parseCommandSymbol(args[0]);
+      if (error) {
+        await replyTelegram(`â Œ ${error}`);
+        return;
+      }
+
+      await requestTelegramConfirmation(
+        `close ${symbol || "ALL open positions"}`,
+        async () => {
+          const count = await closeOpenPositions(symbol, "telegram /close");
+          return count > 0 ? `âœ… Close sent for ${count} position(s)` : "ðŸ“­ No open position";
+        }
+      );
+      return;
+    }
+
+    case "/pause":
+      exitsPaused = true;
+      console.log("â ¸ï¸ Automatic exits paused via Telegram");
+      await replyTelegram("â ¸ï¸ Automatic exits paused. Daily loss lockout is still enforced.");
+      return;
+
+    case "/resume":
+      exitsPaused = false;
+      console.log("âœ… Automatic exits resumed via Telegram");
+      await replyTelegram("âœ… Automatic exits resumed");
+      runMonitorSafely("telegram-resume").catch(() => {});
+      return;
+
+    case "/settp":
+    case "/setsl":
+      await replyTelegram(applyThresholdCommand(command, args));
+      return;
+
+    case "/reserve":
+      await replyTelegram("ðŸ›¡ï¸ Running reserve check...");
+      await maintainUTAReserveBalance("telegram");
+      return;
+
+    case "/transfer": {
+      const amount = roundDown(args[0], 6);
+      if (!(amount > 0)) {
+        await replyTelegram("â Œ Usage: /transfer <amount>");
+        return;
+      }
+
+      await requestTelegramConfirmation(`transfer ${amount} USDT from FUNDING to UTA`, async () =>
+        (await transferFundingToUTA(amount)) ? `âœ… Transferred ${amount} USDT` : "â Œ Transfer failed"
+      );
+      return;
+    }
+
+    case "/resetlock":
+      if (!isDailyLossLockoutActive()) {
+        await replyTelegram(`â„¹ï¸ No daily loss lockout active (${formatDailyLossSummary()})`);
+        return;
+      }
+
+      await requestTelegramConfirmation("reset the daily loss lockout", async () => {
+        resetDailyLossLockout("telegram");
+        return `âœ… Lockout reset. ${formatDailyLossSummary()}`;
+      });
+      return;
+
+    case "/clearattention": {
+      const { symbol, error } = parseCommandSymbol(args[0]);
+      if (error) {
+        await replyTelegram(`â Œ ${error}`);
+        return;
+      }
+
+      const cleared = clearManualAttention(symbol, "telegram");
+      await replyTelegram(
+        cleared > 0
+          ? `âœ… Manual attention cleared for ${cleared} position(s). Automatic exits resume.`
+          : `â„¹ï¸ Nothing flagged for ${symbol || "any symbol"}`
+      );
+      if (cleared > 0) runMonitorSafely("telegram-clearattention").catch(() => {});
+      return;
+    }
+
+    default:
+      await replyTelegram(`â Œ Unknown command ${command}\n\n${TELEGRAM_COMMAND_HELP}`);
+  }
+}
+
+async function handleTelegramCallback(query) {
+  const [kind, token] = String(query.data || "").split(":");
+  const pending = pendingTelegramConfirmations.get(token);
+  let result;
+
+  pendingTelegramConfirmations.delete(token);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    result = "âŒ› Confirmation expired";
+  } else if (kind !== "confirm") {
+    result = `âœ–ï¸ Cancelled: ${pending.description}`;
+  } else {
+    console.log(`âœ… Telegram confirmed: ${pending.description}`);
+    result = await pending.action();
+  }
+
+  await callTelegramApi("answerCallbackQuery", { callback_query_id: query.id }).catch(() => {});
+  await callTelegramApi("editMessageText", {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    text: result,
+  }).catch(() => {});
+}
+
+async function handleTelegramUpdate(update) {
+  try {
+    if (update.callback_query) {
+      const query = update.callback_query;
+      if (!isAuthorizedTelegramSender(query.message?.chat?.id, query.from?.id)) return;
+      await handleTelegramCallback(query);
+      return;
+    }
+
+    const message = update.message;
+    if (!message || !isAuthorizedTelegramSender(message.chat?.id, message.from?.id)) return;
+
+    await handleTelegramCommand(message);
+  } catch (err) {
+    console.error("TELEGRAM COMMAND ERROR:", err.message);
+    await replyTelegram(`â Œ Command failed: ${err.message}`);
+  }
+}
+
+// Commands sent while the bot was down are dropped, so a stale /close never fires on boot.
+async function getInitialTelegramUpdateOffset() {
+  try {
+    const updates = await callTelegramApi("getUpdates", { offset: -1, timeout: 0 });
+    const last = updates?.[updates.length - 1];
+    return last ? last.update_id + 1 : 0;
+  } catch (err) {
+    rawConsole.error("TELEGRAM GET UPDATES ERROR:", err.response?.data || err.message);
+    return 0;
+  }
+}
+
+async function startTelegramCommandPolling() {
+  if (!TELEGRAM_COMMANDS_ENABLED) return;
+
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
+    console.warn("âš ï¸ TELEGRAM_COMMANDS_ENABLED needs TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID");
+    return;
+  }
+
+  let offset = await getInitialTelegramUpdateOffset();
+
+  console.log(
+    `ðŸ“¡ Telegram commands active${
+      TELEGRAM_ALLOWED_USER_IDS.length ? ` (users: ${TELEGRAM_ALLOWED_USER_IDS.join(",")})` : ""
+    }`
+  );
+
+  while (running) {
+    try {
+      const updates = await callTelegramApi(
+        "getUpdates",
+        {
+          offset,
+          timeout: TELEGRAM_POLL_TIMEOUT_SEC,
+          allowed_updates: ["message", "callback_query"],
+        },
+        (TELEGRAM_POLL_TIMEOUT_SEC + 10) * 1000
+      );
+
+      for (const update of updates || []) {
+        offset = update.update_id + 1;
+        // not awaited: a /close waits for verification and must not hold up polling
+        handleTelegramUpdate(update).catch(() => {});
+      }
+    } catch (err) {
+      rawConsole.error("TELEGRAM POLL ERROR:", err.response?.data || err.message);
+      await sleep(5000);
+    }
+  }
+}
+
+// ================= HTTP API =================
+function isWatchdogAlive() {
+  return lastWatchdogTickAt > 0 && Date.now() - lastWatchdogTickAt <= WATCHDOG_STALE_MS;
+}
+
+function getReadiness() {
+  const tradeRequired = TRADE_MODE !== "demo";
+
+  return {
+    ready: privateReady && (!tradeRequired || tradeReady) && isWatchdogAlive(),
+    privateReady,
+    tradeReady,
+    tradeRequired,
+    // Informational only: without the public stream exits run on exchange-reported PnL.
+    publicReady,
+    watchdogAlive: isWatchdogAlive(),
+    lastWatchdogTickAt,
+  };
+}
+
+function buildStateSnapshot() {
+  return {
+    mode: TRADE_MODE,
+    dryRun: DRY_RUN,
+    symbols: SYMBOLS_LABEL,
+    positionMode: formatPositionMode(),
+    exitsPaused,
+    readiness: getReadiness(),
+    positions: [...positionCache.values()].map(({ position, updatedAt }) => ({
+      symbol: position.symbol,
+      positionIdx: getPositionIdx(position),
+      side: position.side,
+      size: position.size,
+      avgPrice: position.avgPrice,
+      markPrice: position.markPrice,
+      unrealisedPnl: Number(position.unrealisedPnl || 0),
+      updatedAt,
+    })),
+    wallet: {
+      uta: latestUtaWallet,
+      fund: latestFundBalances,
+      reserveRules: formatReserveRules(),
+      reserve: latestUtaWallet ? evaluateReserveRules(latestUtaWallet, latestFundBalances) : [],
+    },
+    topUps: { summary: formatTopUpSummary(), ...topUpState },
+    transfers: { reconciledAt: transfersReconciledAt, unresolved: getUnresolvedTransfers() },
+    thresholds: {
+      summary: formatThresholdsSummary(),
+      symbols: Object.fromEntries(getWatchedSymbols().map((s) => [s, getSymbolThresholds(s)])),
+      tpLadder: formatLadderSummary(),
+      breakEven: formatBreakEvenSummary(),
+      trailing: formatTrailingSummary(),
+    },
+    dailyLoss: { enabled: isDailyLossGuardEnabled(), ...dailyLossState },
+    manualAttention: [...manualAttention.values()],
+    lastCloseResult,
+    tradeRequests: { queued: pendingTradeRequests.length, inFlight: inFlightTradeRequests.size },
+    markPrices: Object.fromEntries(latestMarkPrices),
+    exchangeTpSl: { enabled: EXCHANGE_TPSL_ENABLED, legs: Object.fromEntries(exchangeTpSlState) },
+    uptimeSec: Math.floor(process.uptime()),
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorizedHttpRequest(req) {
+  if (!HTTP_API_TOKEN) return false;
+
+  const header = String(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${HTTP_API_TOKEN}`);
+  const actual = Buffer.from(header);
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function readJsonBody(req, maxBytes = 10 * 1024) {
+  let raw = "";
+
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > maxBytes) throw new Error("Request body too large");
+  }
+
+  if (!raw) return {};
+
+  const body = safeJsonParse(raw);
+  if (!body || typeof body !== "object") throw new Error("Invalid JSON body");
+  return body;
+}
+
+async function handleHttpApiRequest(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET") {
+    if (pathname === "/healthz") {
+      const alive = isWatchdogAlive();
+      sendJson(res, alive ? 200 : 503, { ok: alive, lastWatchdogTickAt });
+      return;
+    }
+
+    if (pathname === "/readyz") {
+      const readiness = getReadiness();
+      sendJson(res, readiness.ready ? 200 : 503, readiness);
+      return;
+    }
+
+    if (pathname === "/state") {
+      sendJson(res, 200, buildStateSnapshot());
+      return;
+    }
+
+    if (pathname === "/metrics") {
+      refreshStateMetrics();
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      res.end(renderMetrics());
+      return;
+    }
+  }
+
+  if (req.method === "POST") {
+    if (!isAuthorizedHttpRequest(req)) {
+      sendJson(res, HTTP_API_TOKEN ? 401 : 403, { error: "unauthorized" });
+      return;
+    }
+
+    const body = await readJsonBody(req);
+
+    if (pathname === "/close") {
+      const { symbol, error } = parseCommandSymbol(body.symbol);
+      if (error) {
+        sendJson(res, 400, { error });
+        return;
+      }
+
+      const count = await closeOpenPositions(symbol, "http /close");
+      sendJson(res, 200, { closed: count, lastCloseResult });
+      return;
+    }
+
+    if (pathname === "/pause" || pathname === "/resume") {
+      exitsPaused = pathname === "/pause";
+      console.log(
+        exitsPaused ? "â ¸ï¸ Automatic exits paused via HTTP API" : "âœ… Automatic exits resumed via HTTP API"
+      );
+      if (!exitsPaused) runMonitorSafely("http-resume").catch(() => {});
+      sendJson(res, 200, { exitsPaused });
+      return;
+    }
+
+    if (pathname === "/clear-attention") {
+      const { symbol, error } = parseCommandSymbol(body.symbol);
+      if (error) {
+        sendJson(res, 400, { error });
+        return;
+      }
+
+      const cleared = clearManualAttention(symbol, "http");
+      if (cleared > 0) runMonitorSafely("http-clear-attention").catch(() => {});
+      sendJson(res, 200, { cleared, manualAttention: [...manualAttention.values()] });
+      return;
+    }
+
+    if (pathname === "/reserve") {
+      await maintainUTAReserveBalance("http");
+      sendJson(res, 200, { wallet: buildStateSnapshot().wallet });
+      return;
+    }
+  }
+
+  sendJson(res, 404, { error: "not found" });
+}
+
+function startHttpApi() {
+  if (!HTTP_API_ENABLED) return;
+
+  const server = http.createServer((req, res) => {
+    handleHttpApiRequest(req, res).catch((err) => {
+      console.error("HTTP API ERROR:", err.message);
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+    });
+  });
+
+  server.on("error", (err) => {
+    console.error("HTTP API SERVER ERROR:", err.message);
+  });
+
+  server.listen(HTTP_API_PORT, HTTP_API_HOST, () => {
+    console.log(
+      `ðŸŒ HTTP API listening on ${HTTP_API_HOST}:${HTTP_API_PORT}${
+        HTTP_API_TOKEN ? "" : " (POST endpoints disabled: HTTP_API_TOKEN not set)"
+      }`
+    );
+  });
+}
+
+// ================= CONFIG RELOAD =================
+// Per-symbol settings are looked up on every use; only the global live ones are cached here.
+function applyLiveSettings() {
+  MAX_LOSS = getSetting("MAX_LOSS");
+  TAKE_PROFIT = getSetting("TAKE_PROFIT");
+  THRESHOLD_TYPE = getSetting("THRESHOLD_TYPE");
+  STOP_LOSS_PRICE = getSetting("STOP_LOSS_PRICE");
+  TAKE_PROFIT_PRICE = getSetting("TAKE_PROFIT_PRICE");
+  TAKE_PROFIT_LADDER = parseTakeProfitLadder(getSetting("TAKE_PROFIT_LADDER").trim());
+  BREAK_EVEN_TRIGGER = getSetting("BREAK_EVEN_TRIGGER");
+  BREAK_EVEN_BUFFER = getSetting("BREAK_EVEN_BUFFER");
+  TRAILING_ENABLED = getSetting("TRAILING_ENABLED");
+  TRAILING_ACTIVATION_PNL = getSetting("TRAILING_ACTIVATION_PNL");
+  TRAILING_GIVEBACK = getSetting("TRAILING_GIVEBACK");
+  TRAILING_GIVEBACK_PERCENT = getSetting("TRAILING_GIVEBACK_PERCENT");
+  PNL_RECONCILE_TOLERANCE = getSetting("PNL_RECONCILE_TOLERANCE");
+  EXCHANGE_TPSL_ENABLED = getSetting("EXCHANGE_TPSL_ENABLED");
+  EXCHANGE_TPSL_BUFFER_PERCENT = getSetting("EXCHANGE_TPSL_BUFFER_PERCENT");
+  EXCHANGE_TPSL_TRIGGER_BY = getSetting("EXCHANGE_TPSL_TRIGGER_BY");
+  TRANSFER_AMOUNT = getSetting("TRANSFER_AMOUNT");
+  RESERVE_COINS = parseReserveCoins(getSetting("RESERVE_COINS"));
+  UTA_RESERVE_BALANCE = getSetting("UTA_RESERVE_BALANCE");
+  UTA_RESERVE_PERCENT = getSetting("UTA_RESERVE_PERCENT");
+  RESERVE_TRANSFER_MIN_AMOUNT = getSetting("RESERVE_TRANSFER_MIN_AMOUNT");
+  TOPUP_FLOOR = getSetting("TOPUP_FLOOR");
+  TOPUP_TARGET = getSetting("TOPUP_TARGET");
+  TOPUP_DAILY_CAP = getSetting("TOPUP_DAILY_CAP");
+}
+
+function formatConfigValue(raw) {
+  return raw === undefined || raw === null || raw === "" ? "unset" : String(raw);
+}
+
+// An invalid file is rejected as a whole and the running settings stay as they are.
+function reloadConfigFile() {
+  const { values, errors } = readConfigFile(CONFIG_FILE);
+  const problems = [...errors, ...validateConfig(values)];
+
+  if (problems.length > 0) {
+    journalEvent("config_change", { file: CONFIG_FILE, rejected: problems });
+    console.error(
+      [`CONFIG RELOAD REJECTED (${CONFIG_FILE}), current settings kept:`, ...problems].join("\n  - ")
+    );
+    return;
+  }
+
+  const keys = new Set([...fileConfig.keys(), ...values.keys()]);
+  const before = new Map([...keys].map((key) => [key, getConfigRaw(key)]));
+  const changes = [];
+
+  fileConfig = values;
+
+  for (const key of keys) {
+    const from = before.get(key);
+    const to = getConfigRaw(key);
+    if (String(from) === String(to)) continue;
+
+    changes.push({
+      key,
+      from: from ?? null,
+      to: to ?? null,
+      live: Boolean(matchConfigKey(key)?.spec.live),
+    });
+  }
+
+  if (changes.length === 0) return;
+
+  applyLiveSettings();
+  journalEvent("config_change", { file: CONFIG_FILE, changes });
+
+  console.log(
+    [
+      `âš™ï¸ CONFIG CHANGED (${CONFIG_FILE})`,
+      ...changes.map(
+        (c) =>
+          `${c.key}: ${formatConfigValue(c.from)} -> ${formatConfigValue(c.to)}${
+            c.live ? "" : " (restart required)"
+          }`
+      ),
+    ].join("\n")
+  );
+}
+
+// watchFile polls, so editors that save by replacing the file are picked up too.
+function watchConfigFile() {
+  fs.watchFile(CONFIG_FILE, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+
+    try {
+      reloadConfigFile();
+    } catch (err) {
+      console.error("CONFIG RELOAD ERROR:", err.message);
+    }
+  });
+}
+
+// ================= WATCHDOG =================
+async function startWatchdog() {
+  while (running) {
+    try {
+      const now = Date.now();
+      lastWatchdogTickAt = now;
+
+      if (WATCH_ALL_SYMBOLS) {
+        if (now - positionListSyncedAt > currentInterval) {
+          await syncAllPositionsViaRest();
+          await runMonitorSafely("watchdog");
+        }
+      } else {
+        const staleSymbols = SYMBOLS.filter(
+          (symbol) => now - getPositionUpdatedAt(symbol) > currentInterval
+        );
+
+        if (staleSymbols.length > 0) {
+          await runMonitorSafely("watchdog", staleSymbols);
+        }
+      }
+
+      await sleep(currentInterval);
+    } catch (err) {
+      console.error("WATCHDOG ERROR:", err.message);
+      await sleep(2000);
+    }
+  }
+}
+
+// ================= GLOBAL CRASH PROTECTION =================
+process.on("unhandledRejection", async (err) => {
+  console.error("ðŸ”¥ UNHANDLED REJECTION:", err?.message || err);
+  await sendTelegram(`ðŸ”¥ UNHANDLED REJECTION\n${err?.message || String(err)}`);
+});
+
+process.on("uncaughtException", async (err) => {
+  console.error("ðŸ”¥ UNCAUGHT EXCEPTION:", err?.message || err);
+  await sendTelegram(`ðŸ”¥ UNCAUGHT EXCEPTION\n${err?.message || String(err)}`);
+});
+
+process.on("SIGTERM", async () => {
+  console.log("ðŸ›‘ SIGTERM received");
+  running = false;
+  clearReserveFastTransferTimer();
+  await sendTelegram("ðŸ›‘ Render sent SIGTERM. Bot stopping.");
+  process.exit(0);
+});
+
+process.on("SIGINT", async () => {
+  console.log("ðŸ›‘ SIGINT received");
+  running = false;
+  clearReserveFastTransferTimer();
+  await sendTelegram("ðŸ›‘ Process interrupted. Bot stopping.");
+  process.exit(0);
+});
+
+// ================= REPLAY =================
+// Set while a replay trade is running; closePosition records into it instead of trading.
+let replaySession = null;
+
+function recordPositionMessage(msg) {
+  try {
+    fs.appendFileSync(POSITION_RECORD_FILE, `${JSON.stringify({ receivedAt: Date.now(), ...msg })}\n`);
+  } catch (err) {
+    rawConsole.error(`POSITION RECORD ERROR (${POSITION_RECORD_FILE}):`, err.message);
+  }
+}
+
+function parseReplayGrid(setting) {
+  const fields =
+    THRESHOLD_TYPE === "price" ? ["takeProfitPrice", "stopLossPrice"] : ["takeProfit", "maxLoss"];
+
+  return String(setting)
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [takeProfit, stopLoss] = pair.split(":").map(Number);
+
+      if (!Number.isFinite(takeProfit) || !Number.isFinite(stopLoss)) {
+        throw new Error(`Invalid REPLAY_GRID entry "${pair}". Use takeProfit:maxLoss`);
+      }
+
+      if (THRESHOLD_TYPE !== "price" && (takeProfit <= 0 || stopLoss >= 0)) {
+        throw new Error(`REPLAY_GRID entry "${pair}" needs takeProfit > 0 and maxLoss < 0`);
+      }
+
+      return {
+        label: `TP ${takeProfit} / SL ${stopLoss}`,
+        overrides: { [fields[0]]: takeProfit, [fields[1]]: stopLoss },
+      };
+    });
+}
+
+// Conservative intra-candle path: the adverse extreme of the candle is visited first.
+function getKlinePricePath(kline, side) {
+  const [, open, high, low, close] = kline.map(Number);
+  return side === "Buy" ? [open, low, high, close] : [open, high, low, close];
+}
+
+function buildKlineTrade(trade, index) {
+  const symbol = String(trade.symbol || SYMBOL).toUpperCase();
+  const side = trade.side === "Sell" ? "Sell" : "Buy";
+  const entryPrice = Number(trade.entryPrice);
+  const size = Number(trade.size);
+  const leverage = Number(trade.leverage || 10);
+  const positionIdx = Number(trade.positionIdx || 0);
+
+  if (!(entryPrice > 0) || !(size > 0) || !Array.isArray(trade.klines)) {
+    throw new Error(`Replay trade #${index + 1} needs entryPrice, size and klines`);
+  }
+
+  const klines = [...trade.klines].sort((a, b) => Number(a[0]) - Number(b[0]));
+  const direction = side === "Buy" ? 1 : -1;
+  const ticks = [];
+
+  for (const kline of klines) {
+    for (const price of getKlinePricePath(kline, side)) {
+      ticks.push({
+        ts: Number(kline[0]),
+        position: {
+          symbol,
+          side,
+          size: String(size),
+          positionIdx,
+          avgPrice: String(entryPrice),
+          markPrice: String(price),
+          leverage: String(leverage),
+          positionValue: String(entryPrice * size),
+          positionIM: String((entryPrice * size) / leverage),
+          unrealisedPnl: String((price - entryPrice) * size * direction),
+        },
+      });
+    }
+  }
+
+  return { symbol, side, positionIdx, ticks };
+}
+
+// Splits a recorded stream into trades: open -> flat (or side flip) per position leg.
+function buildStreamTrades(messages) {
+  const trades = [];
+  const openTrades = new Map();
+  let skipped = 0;
+
+  for (const msg of messages) {
+    const list = msg?.topic === "position" ? msg.data : msg?.symbol ? [msg] : null;
+    if (!Array.isArray(list)) continue;
+
+    for (const pos of list) {
+      if (!isWatchedSymbol(pos?.symbol)) {
+        skipped += 1;
+        continue;
+      }
+
+      const key = getPositionKey(pos.symbol, getPositionIdx(pos));
+      const ts = Number(msg.creationTime || msg.receivedAt || pos.updatedTime || 0);
+      let trade = openTrades.get(key);
+
+      if (trade && (!isOpenPosition(pos) || pos.side !== trade.side)) {
+        openTrades.delete(key);
+        trade.closedByRecording = true;
+        trade = null;
+      }
+
+      if (!isOpenPosition(pos)) continue;
+
+      if (!trade) {
+        trade = { symbol: pos.symbol, side: pos.side, positionIdx: getPositionIdx(pos), ticks: [] };
+        openTrades.set(key, trade);
+        trades.push(trade);
+      }
+
+      trade.ticks.push({ ts, position: pos });
+    }
+  }
+
+  if (skipped > 0) {
+    rawConsole.log(`â„¹ï¸ Replay skipped ${skipped} position update(s) for unwatched symbols`);
+  }
+
+  return trades;
+}
+
+function loadReplayTrades(file) {
+  const trimmed = fs.readFileSync(file, "utf8").trim();
+
+  let doc = null;
+  try {
+    doc = JSON.parse(trimmed);
+  } catch {
+    // Not a single JSON document, so JSONL.
+  }
+
+  const klineTrades = Array.isArray(doc) ? doc : doc?.trades;
+  if (Array.isArray(klineTrades) && klineTrades.every((t) => Array.isArray(t?.klines))) {
+    return klineTrades.map(buildKlineTrade);
+  }
+
+  if (Array.isArray(doc)) return buildStreamTrades(doc);
+
+  const messages = trimmed
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Replay file line ${i + 1} is not valid JSON`);
+      }
+    });
 
-  currentInterval = FAST_INTERVAL;
+  return buildStreamTrades(messages);
+}
 
-  const pnl = Number(pos.unrealisedPnl || 0);
-  const size = pos.size;
-  const side = pos.side;
+function recordReplayClose(symbol, positionIdx, size, { reason, trigger }) {
+  const cached = positionCache.get(getPositionKey(symbol, positionIdx))?.position;
+  if (!cached) return;
 
-  console.log(`ðŸ“Š ${SYMBOL} PnL (USDT): ${pnl}`);
+  const openSize = Number(cached.size);
+  const qty = Math.min(Number(size), openSize);
+  const pnl = (Number(cached.unrealisedPnl) / openSize) * qty;
 
-  if (pnl <= MAX_LOSS) {
-    console.log(`ðŸš¨ MAX LOSS HIT (${MAX_LOSS}). Closing position...`);
-    await closePosition(side, size);
-    return;
-  }
+  replaySession.closedSize += qty;
+  replaySession.exits.push({ ts: replaySession.clock, trigger, reason, qty, pnl });
 
-  if (pnl >= TAKE_PROFIT) {
-    console.log(`ðŸŽ¯ TAKE PROFIT HIT (${TAKE_PROFIT}). Closing position...`);
-    await closePosition(side, size);
-    return;
+  if (qty >= openSize) {
+    clearLatestPosition(symbol, positionIdx);
+    resetPositionExitState(symbol, positionIdx);
+  } else {
+    setLatestPosition({ ...cached, size: String(openSize - qty) });
   }
 }
 
-// ================= EXECUTION GUARD =================
-async function runMonitorSafely(source = "unknown") {
-  if (isExecuting) return;
+// Runs one trade tick by tick through monitor(), scaling the recorded leg to what is left open.
+async function replayTrade(trade) {
+  const session = { clock: trade.ticks[0]?.ts || 0, closedSize: 0, exits: [] };
+  replaySession = session;
+  resetPositionExitState(trade.symbol, trade.positionIdx);
+
+  let last = null;
+
+  for (const tick of trade.ticks) {
+    const recordedSize = Number(tick.position.size);
+    const openSize = recordedSize - session.closedSize;
+    if (!(openSize > 1e-12)) break;
+
+    const scale = openSize / recordedSize;
+    const pos = {
+      ...tick.position,
+      size: String(openSize),
+      unrealisedPnl: String(Number(tick.position.unrealisedPnl || 0) * scale),
+      positionValue: String(Number(tick.position.positionValue || 0) * scale),
+      positionIM: String(Number(tick.position.positionIM || 0) * scale),
+    };
 
-  try {
-    isExecuting = true;
-    await monitor();
-  } catch (err) {
-    console.error(`âš ï¸ MONITOR ERROR [${source}]:`, err.message);
-  } finally {
-    isExecuting = false;
+    session.clock = tick.ts;
+    last = { tick, pos };
+    setLatestPosition(pos);
+    await monitor([trade.symbol], "replay");
   }
-}
 
-// ================= PRIVATE WS =================
-function connectPrivateWS() {
-  let retry = 0;
+  replaySession = null;
+  clearLatestPosition(trade.symbol, trade.positionIdx);
+  resetPositionExitState(trade.symbol, trade.positionIdx);
+
+  const lastTick = trade.ticks.at(-1);
+  const realized = session.exits.reduce((sum, e) => sum + e.pnl, 0);
+  const openSize = Number(lastTick.position.size) - session.closedSize;
+  const stillOpen = openSize > 1e-12;
+  const markPnl = stillOpen && last ? Number(last.pos.unrealisedPnl || 0) : 0;
+  const triggers = [...new Set(session.exits.map((e) => e.trigger))];
+  if (stillOpen) triggers.push("open");
+
+  return {
+    symbol: trade.symbol,
+    side: trade.side,
+    positionIdx: trade.positionIdx,
+    openedAt: trade.ticks[0].ts,
+    exitedAt: stillOpen ? lastTick.ts : session.exits.at(-1)?.ts ?? lastTick.ts,
+    exits: session.exits,
+    exit: triggers.join("+"),
+    pnl: realized + markPnl,
+    recordedPnl: Number(lastTick.position.unrealisedPnl || 0),
+  };
+}
 
-  const openConnection = () => {
-    console.log(`ðŸ”Œ Connecting PRIVATE WS (${TRADE_MODE})...`);
-    privateWs = new WebSocket(PRIVATE_WS_URL);
+function resetReplayState(overrides) {
+  positionCache.clear();
+  positionExitState.clear();
+  closingPositions.clear();
+  runtimeThresholdOverrides.clear();
+  if (overrides) runtimeThresholdOverrides.set("*", overrides);
+}
 
-    privateWs.on("open", () => {
-      console.log("âœ… PRIVATE WS CONNECTED");
-      retry = 0;
+function formatReplayDuration(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
 
-      const { expires, signature } = generateWsAuth();
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${(minutes / 60).toFixed(1)}h`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
 
-      privateWs.send(
-        JSON.stringify({
-          op: "auth",
-          args: [API_KEY, expires, signature],
-        })
-      );
-    });
+function summarizeReplay(results) {
+  const exitCounts = {};
+  for (const r of results) exitCounts[r.exit] = (exitCounts[r.exit] || 0) + 1;
+
+  const pnl = results.reduce((sum, r) => sum + r.pnl, 0);
+  const wins = results.filter((r) => r.pnl > 0).length;
+
+  return {
+    trades: results.length,
+    wins,
+    losses: results.filter((r) => r.pnl < 0).length,
+    winRate: results.length ? (wins / results.length) * 100 : 0,
+    pnl,
+    recordedPnl: results.reduce((sum, r) => sum + r.recordedPnl, 0),
+    exitCounts,
+  };
+}
 
-    privateWs.on("message", async (raw) => {
-      const msg = safeJsonParse(raw);
-      if (!msg) return;
+function printReplayReport(print, config, results, totals) {
+  print("");
+  print(`=== ${config.label} | ${formatThresholdsSummary()} ===`);
+  print(
+    ["#", "symbol", "side", "opened", "held", "exit", "pnl", "recorded"]
+      .map((h, i) => (i === 0 ? h.padStart(3) : h.padEnd(i === 3 ? 24 : i === 5 ? 28 : 10)))
+      .join(" ")
+      .trimEnd()
+  );
 
-      if (msg.op === "auth" && (msg.success === true || msg.retCode === 0)) {
-        console.log("ðŸ” PRIVATE WS AUTH OK");
+  results.forEach((r, i) => {
+    print(
+      [
+        String(i + 1).padStart(3),
+        formatPositionLabel(r.symbol, r.positionIdx).padEnd(10),
+        r.side.padEnd(10),
+        new Date(r.openedAt).toISOString().padEnd(24),
+        formatReplayDuration(r.exitedAt - r.openedAt).padEnd(10),
+        r.exit.padEnd(28),
+        roundDown(r.pnl, 4).toString().padEnd(10),
+        roundDown(r.recordedPnl, 4).toString(),
+      ].join(" ")
+    );
+  });
 
-        privateWs.send(
-          JSON.stringify({
-            op: "subscribe",
-            args: ["position", "order", "wallet"],
-          })
-        );
+  const exits = Object.entries(totals.exitCounts)
+    .map(([exit, count]) => `${exit} ${count}`)
+    .join(", ");
 
-        privateReady = true;
+  print(
+    `TOTAL trades=${totals.trades} wins=${totals.wins} losses=${totals.losses} ` +
+      `winRate=${roundDown(totals.winRate, 2)}% pnl=${roundDown(totals.pnl, 4)} USDT ` +
+      `recorded=${roundDown(totals.recordedPnl, 4)} USDT`
+  );
+  print(`EXITS ${exits || "none"}`);
+}
 
-        if (privateHeartbeat) clearInterval(privateHeartbeat);
-        privateHeartbeat = startHeartbeat(privateWs, "PRIVATE");
-        return;
-      }
+async function runReplay() {
+  const print = rawConsole.log;
 
-      if (msg.op === "pong") return;
+  if (!REPLAY_VERBOSE) {
+    // The bot's per-tick logs would drown the report; errors still go to stderr.
+    for (const method of ["log", "info", "warn"]) {
+      console[method] = () => {};
+      rawConsole[method] = () => {};
+    }
+  }
 
-      if (
-        msg.op === "subscribe" &&
-        (msg.success === true || msg.retCode === 0 || msg.ret_msg === "subscribe")
-      ) {
-        console.log("ðŸ“¡ PRIVATE WS SUBSCRIBED");
-        return;
-      }
+  const trades = loadReplayTrades(REPLAY_FILE).filter((t) => t.ticks.length > 0);
+  const configs = [{ label: "env", overrides: null }, ...parseReplayGrid(REPLAY_GRID)];
 
-      if (msg.topic === "position" && Array.isArray(msg.data)) {
-        const pos = getActiveSymbolPosition(msg.data);
+  for (const symbol of new Set(trades.map((t) => t.symbol))) {
+    instrumentLotSizeCache.set(symbol, {
+      qtyStep: Number(REPLAY_QTY_STEP),
+      minOrderQty: Number(REPLAY_QTY_STEP),
+      decimals: (REPLAY_QTY_STEP.split(".")[1] || "").length,
+    });
+  }
 
-        if (!pos || Number(pos.size) <= 0 || !pos.side) {
-          clearLatestPosition();
-        } else {
-          setLatestPosition(pos);
-        }
+  print(`ðŸ§ª REPLAY ${REPLAY_FILE}: ${trades.length} trade(s), ${configs.length} config(s)`);
+  print(`TP LADDER: ${formatLadderSummary()} | BREAK-EVEN: ${formatBreakEvenSummary()}`);
+  print(`TRAILING: ${formatTrailingSummary()}`);
 
-        await runMonitorSafely("position-stream");
-        return;
-      }
+  const summary = [];
 
-      if (msg.topic === "wallet" && Array.isArray(msg.data)) {
-        const wsBalance = extractUnifiedUsdtWalletBalanceFromWalletStream(msg.data);
+  for (const config of configs) {
+    resetReplayState(config.overrides);
 
-        if (wsBalance !== null) {
-          setLatestUTAUsdtWalletBalance(wsBalance);
+    const results = [];
+    for (const trade of trades) results.push(await replayTrade(trade));
 
-          console.log(
-            `ðŸ’° WALLET WS UPDATE: UTA USDT walletBalance=${wsBalance} | reserve=${UTA_RESERVE_BALANCE}`
-          );
+    const totals = summarizeReplay(results);
+    printReplayReport(print, config, results, totals);
+    summary.push({ label: config.label, thresholds: formatThresholdsSummary(), ...totals });
+  }
 
-          maybeTriggerFastReserveTransferFromWallet(wsBalance, "wallet-stream");
-        } else {
-          console.log("â„¹ï¸ WALLET WS UPDATE received, but no UNIFIED USDT balance was found.");
-        }
+  if (summary.length > 1) {
+    print("");
+    print("=== COMPARISON (best pnl first) ===");
+    for (const row of [...summary].sort((a, b) => b.pnl - a.pnl)) {
+      print(
+        `${row.label.padEnd(24)} pnl=${roundDown(row.pnl, 4).toString().padEnd(12)} ` +
+          `winRate=${roundDown(row.winRate, 2)}% trades=${row.trades} | ${row.thresholds}`
+      );
+    }
+  }
 
-        return;
-      }
+  resetReplayState(null);
+}
 
-      if (msg.topic === "order" && Array.isArray(msg.data)) {
-        for (const order of msg.data) {
-          if (order.symbol !== SYMBOL) continue;
+// ================= ACCOUNTS =================
+// name -> { env, worker, restarts, restartAt, startedAt, lastError, heartbeatWaiters }
+const accounts = new Map();
+let accountHeartbeatSeq = 0;
 
-          console.log(
-            `ðŸ§¾ ORDER UPDATE: ${order.orderStatus || "UNKNOWN"} | ${order.side} | qty=${order.qty}`
-          );
-        }
+function getAccountProblems() {
+  const problems = [];
+  const apiKeys = new Map();
 
-        return;
-      }
-    });
+  for (const name of ACCOUNT_NAMES) {
+    const prefix = `${name}_`;
 
-    privateWs.on("close", async () => {
-      privateReady = false;
+    if (!/^[A-Z][A-Z0-9]*$/.test(name)) {
+      problems.push(`${name}: account names are letters and digits only`);
+      continue;
+    }
 
-      if (privateHeartbeat) {
-        clearInterval(privateHeartbeat);
-        privateHeartbeat = null;
-      }
+    const clash = Object.keys(CONFIG_SCHEMA).find((key) => key.startsWith(prefix));
+    if (clash || RESERVED_ACCOUNT_NAMES.includes(name)) {
+      problems.push(`${name}: clashes with the ${clash || `${prefix}*`} settings`);
+      continue;
+    }
 
-      clearReserveFastTransferTimer();
+    const apiKey = process.env[`${prefix}API_KEY`];
+    if (!apiKey || !process.env[`${prefix}API_SECRET`]) {
+      problems.push(`${name}: ${prefix}API_KEY and ${prefix}API_SECRET are required`);
+    } else if (apiKeys.has(apiKey)) {
+      problems.push(`${name}: uses the same API key as ${apiKeys.get(apiKey)}`);
+    } else {
+      apiKeys.set(apiKey, name);
+    }
+  }
 
-      const wait = Math.min(30000, 2000 * Math.pow(2, retry));
-      console.log(`âš ï¸ PRIVATE WS CLOSED â†’ reconnect in ${wait}ms`);
+  return problems;
+}
 
-      await sleep(wait);
-      retry++;
-      openConnection();
-    });
+function withAccountSuffix(file, name) {
+  const parsed = path.parse(file);
+  return path.join(parsed.dir, `${parsed.name}.${name.toLowerCase()}${parsed.ext}`);
+}
 
-    privateWs.on("error", (err) => {
-      console.error("PRIVATE WS ERROR:", err.message);
-    });
-  };
+// The worker env: shared values, then this account's prefixed ones; other accounts' are dropped.
+function buildAccountEnv(name, claims) {
+  const env = { ...process.env, ACCOUNT_NAME: name };
+  const notes = [];
+  delete env.ACCOUNTS;
 
-  openConnection();
-}
+  for (const key of Object.keys(process.env)) {
+    const owner = ACCOUNT_NAMES.find((account) => key.startsWith(`${account}_`));
+    if (!owner) continue;
 
-// ================= TRADE WS =================
-function connectTradeWS() {
-  let retry = 0;
+    delete env[key];
+    if (owner === name) env[key.slice(name.length + 1)] = process.env[key];
+  }
 
-  const openConnection = () => {
-    console.log(`ðŸ”Œ Connecting TRADE WS (${TRADE_MODE})...`);
-    tradeWs = new WebSocket(TRADE_WS_URL);
+  for (const [key, fallback] of Object.entries(ACCOUNT_FILE_SETTINGS)) {
+    if (process.env[`${name}_${key}`]) continue;
+    const file = process.env[key] || fallback;
+    if (file) env[key] = withAccountSuffix(file, name);
+  }
 
-    tradeWs.on("open", () => {
-      console.log("âœ… TRADE WS CONNECTED");
-      retry = 0;
+  if (process.env[`${name}_TELEGRAM_TAG`] === undefined) env.TELEGRAM_TAG = `[${name}]`;
 
-      const { expires, signature } = generateWsAuth();
+  // One getUpdates poller per bot token and one listener per port.
+  if (String(env.TELEGRAM_COMMANDS_ENABLED).toLowerCase() === "true") {
+    const owner = claims.telegram.get(env.TELEGRAM_BOT_TOKEN);
+    if (owner) {
+      env.TELEGRAM_COMMANDS_ENABLED = "false";
+      notes.push(`Telegram commands stay with [${owner}] (same bot token)`);
+    } else {
+      claims.telegram.set(env.TELEGRAM_BOT_TOKEN, name);
+    }
+  }
 
-      tradeWs.send(
-        JSON.stringify({
-          op: "auth",
-          args: [API_KEY, expires, signature],
-        })
-      );
-    });
+  if (String(env.HTTP_API_ENABLED).toLowerCase() === "true") {
+    const port = String(env.HTTP_API_PORT || env.PORT || 3000);
+    const owner = claims.http.get(port);
+    if (owner) {
+      env.HTTP_API_ENABLED = "false";
+      notes.push(`HTTP API stays with [${owner}] (same port ${port})`);
+    } else {
+      claims.http.set(port, name);
+    }
+  }
 
-    tradeWs.on("message", (raw) => {
-      const msg = safeJsonParse(raw);
-      if (!msg) return;
+  return { env, notes };
+}
 
-      if (msg.op === "auth" && (msg.success === true || msg.retCode === 0)) {
-        console.log("ðŸ” TRADE WS AUTH OK");
-        tradeReady = true;
+function startAccountWorker(name) {
+  const account = accounts.get(name);
+  account.startedAt = Date.now();
+  account.worker = new Worker(new URL(import.meta.url), { env: account.env });
 
-        if (tradeHeartbeat) clearInterval(tradeHeartbeat);
-        tradeHeartbeat = startHeartbeat(tradeWs, "TRADE");
+  account.worker.on("message", (msg) => handleAccountMessage(account, msg));
 
-        flushPendingTradeRequests();
-        return;
-      }
+  account.worker.on("error", (err) => {
+    account.lastError = err.message;
+    console.error(`ðŸš¨ [${name}] ACCOUNT FAILED:`, err.message);
+  });
 
-      if (msg.op === "pong") return;
+  account.worker.on("exit", (code) => {
+    account.worker = null;
+    for (const finish of account.heartbeatWaiters.values()) finish(null);
+    if (!running) return;
 
-      if (msg.op === "order.create") {
-        if (msg.retCode === 0) {
-          console.log("âœ… POSITION CLOSE ACK:", msg.data);
-        } else {
-          console.error("â Œ POSITION CLOSE REJECTED:", msg);
-        }
-      }
-    });
+    if (Date.now() - account.startedAt >= ACCOUNT_STABLE_MS) account.restarts = 0;
+    const delayMs = Math.min(
+      ACCOUNT_RESTART_MIN_MS * 2 ** account.restarts,
+      ACCOUNT_RESTART_MAX_MS
+    );
+    account.restarts += 1;
+    account.restartAt = Date.now() + delayMs;
 
-    tradeWs.on("close", async () => {
-      tradeReady = false;
+    console.warn(
+      `âš ï¸ [${name}] ACCOUNT STOPPED (exit ${code}), restarting in ${delayMs / 1000}s`
+    );
+    setTimeout(() => startAccountWorker(name), delayMs);
+  });
+}
 
-      if (tradeHeartbeat) {
-        clearInterval(tradeHeartbeat);
-        tradeHeartbeat = null;
-      }
+function handleAccountMessage(account, msg) {
+  if (msg?.type === "telegram") {
+    enqueueTelegram(msg.item).catch(() => {});
+  } else if (msg?.type === "heartbeat") {
+    account.heartbeatWaiters.get(msg.id)?.(msg.lines);
+  }
+}
 
-      const wait = Math.min(30000, 2000 * Math.pow(2, retry));
-      console.log(`âš ï¸ TRADE WS CLOSED â†’ reconnect in ${wait}ms`);
+// Worker side: the supervisor's combined heartbeat asks every account for its lines.
+function answerAccountHeartbeats() {
+  parentPort.on("message", (msg) => {
+    if (msg?.type !== "heartbeat") return;
+    parentPort.postMessage({ type: "heartbeat", id: msg.id, lines: buildHeartbeatLines() });
+  });
+}
 
-      await sleep(wait);
-      retry++;
-      openConnection();
-    });
+// The account's heartbeat lines, or null when it is down or does not answer in time.
+function requestAccountHeartbeat(account) {
+  if (!account.worker) return Promise.resolve(null);
 
-    tradeWs.on("error", (err) => {
-      console.error("TRADE WS ERROR:", err.message);
-    });
-  };
+  const id = ++accountHeartbeatSeq;
+  return new Promise((resolve) => {
+    const finish = (lines) => {
+      clearTimeout(timer);
+      account.heartbeatWaiters.delete(id);
+      resolve(lines);
+    };
+    const timer = setTimeout(() => finish(null), ACCOUNT_HEARTBEAT_TIMEOUT_MS);
 
-  openConnection();
+    account.heartbeatWaiters.set(id, finish);
+    account.worker.postMessage({ type: "heartbeat", id });
+  });
 }
 
-// ================= WATCHDOG =================
-async function startWatchdog() {
-  while (running) {
-    try {
-      const now = Date.now();
-      const staleMs = now - latestPositionUpdatedAt;
+async function sendCombinedHeartbeat() {
+  const sections = await Promise.all(
+    [...accounts].map(async ([name, account]) => {
+      const lines = await requestAccountHeartbeat(account);
+      if (lines) return { up: true, text: [`[${name}]`, ...lines].join("\n") };
+      if (account.worker) return { up: false, text: `[${name}] NOT RESPONDING` };
 
-      if (staleMs > currentInterval) {
-        await runMonitorSafely("watchdog");
-      }
+      const restartSec = Math.max(0, Math.round((account.restartAt - Date.now()) / 1000));
+      const reason = account.lastError ? `: ${account.lastError.split("\n")[0]}` : "";
+      return { up: false, text: `[${name}] DOWN${reason} | restart in ${restartSec}s` };
+    })
+  );
 
-      await sleep(currentInterval);
-    } catch (err) {
-      console.error("WATCHDOG ERROR:", err.message);
-      await sleep(2000);
-    }
-  }
+  const up = sections.filter((section) => section.up).length;
+  await sendTelegram(
+    [
+      `ðŸ’“ BOT HEARTBEAT | accounts up: ${up}/${accounts.size}`,
+      ...sections.map((section) => section.text),
+    ].join("\n\n"),
+    { disableNotification: true }
+  );
 }
 
-// ================= GLOBAL CRASH PROTECTION =================
-process.on("unhandledRejection", async (err) => {
-  console.error("ðŸ”¥ UNHANDLED REJECTION:", err?.message || err);
-  await sendTelegram(`ðŸ”¥ UNHANDLED REJECTION\n${err?.message || String(err)}`);
-});
+function startAccounts() {
+  installTelegramConsoleMirror();
 
-process.on("uncaughtException", async (err) => {
-  console.error("ðŸ”¥ UNCAUGHT EXCEPTION:", err?.message || err);
-  await sendTelegram(`ðŸ”¥ UNCAUGHT EXCEPTION\n${err?.message || String(err)}`);
-});
+  console.log(`ðŸ¤– BOT STARTED | ACCOUNTS: ${ACCOUNT_NAMES.join(", ")}`);
 
-process.on("SIGTERM", async () => {
-  console.log("ðŸ›‘ SIGTERM received");
-  running = false;
-  clearReserveFastTransferTimer();
-  await sendTelegram("ðŸ›‘ Render sent SIGTERM. Bot stopping.");
-  process.exit(0);
-});
+  const claims = { telegram: new Map(), http: new Map() };
 
-process.on("SIGINT", async () => {
-  console.log("ðŸ›‘ SIGINT received");
-  running = false;
-  clearReserveFastTransferTimer();
-  await sendTelegram("ðŸ›‘ Process interrupted. Bot stopping.");
-  process.exit(0);
-});
+  for (const name of ACCOUNT_NAMES) {
+    const { env, notes } = buildAccountEnv(name, claims);
+    accounts.set(name, {
+      env,
+      worker: null,
+      restarts: 0,
+      restartAt: 0,
+      startedAt: 0,
+      lastError: null,
+      heartbeatWaiters: new Map(),
+    });
+
+    for (const note of notes) console.log(`â„¹ï¸ [${name}] ${note}`);
+    startAccountWorker(name);
+  }
+
+  startTelegramHeartbeat();
+}
 
 // ================= START =================
 async function startBot() {
   installTelegramConsoleMirror();
 
   console.log("ðŸ¤– BOT STARTED...");
-  console.log(`ðŸ“Œ SYMBOL: ${SYMBOL}`);
+  console.log(`ðŸ“Œ SYMBOLS: ${SYMBOLS_LABEL}`);
   console.log(`ðŸŒ TRADE_MODE: ${TRADE_MODE}`);
+  if (DRY_RUN) console.log(`${DRY_RUN_TAG} shadow mode: closes and transfers are only logged`);
+  console.log(`ðŸ“¡ POSITION_MODE: ${formatPositionMode()}`);
+  console.log(`ðŸŽ¯ THRESHOLDS: ${formatThresholdsSummary()}`);
   console.log(`ðŸŒ HTTP: ${HTTP_BASE_URL}`);
   console.log(`ðŸ”Œ PRIVATE WS: ${PRIVATE_WS_URL}`);
   console.log(`âš¡ RESERVE_FAST_TRANSFER_DELAY_MS: ${RESERVE_FAST_TRANSFER_DELAY_MS}`);
+  console.log(
+    `âš™ï¸ CONFIG FILE: ${CONFIG_FILE} (${
+      fileConfig.size > 0 ? `${fileConfig.size} settings` : "not found or empty"
+    }, watched)`
+  );
+
+  // Before anything can call saveBotState, so a restart never drops the flags.
+  restoreManualAttention();
+  restoreTopUpState();
+  restoreTransferLedger();
+  startDailyLossGuard();
+
+  // Before the sockets authenticate, so their expires / timestamps are already corrected.
+  await startServerTimeSync();
 
   await sendTelegram(
     [
       "âœ… BOT STARTED ON RENDER",
-      `SYMBOL: ${SYMBOL}`,
+      `SYMBOLS: ${SYMBOLS_LABEL}`,
+      `THRESHOLDS: ${formatThresholdsSummary()}`,
+      `TP LADDER: ${formatLadderSummary()}`,
+      `BREAK-EVEN: ${formatBreakEvenSummary()}`,
+      `DAILY LOSS: ${formatDailyLossSummary()}`,
+      `TRAILING: ${formatTrailingSummary()}`,
       `MODE: ${TRADE_MODE}`,
+      `DRY_RUN: ${DRY_RUN}`,
+      `POSITION_MODE: ${formatPositionMode()}`,
       `HTTP: ${HTTP_BASE_URL}`,
       `PRIVATE_WS: ${PRIVATE_WS_URL}`,
+      `MARK_PRICE_STREAM: ${MARK_PRICE_STREAM_ENABLED ? PUBLIC_WS_URL : "off"}`,
+      `EXCHANGE_TPSL: ${
+        EXCHANGE_TPSL_ENABLED ? `on, buffer ${EXCHANGE_TPSL_BUFFER_PERCENT}%` : "off"
+      }`,
       `TELEGRAM_LOGS_ENABLED: ${TELEGRAM_LOGS_ENABLED}`,
-      `UTA_RESERVE_BALANCE: ${UTA_RESERVE_BALANCE}`,
+      `UTA RESERVE: ${formatReserveRules()}`,
+      `TOP-UPS: ${formatTopUpSummary()}`,
       `RESERVE_FAST_TRANSFER_DELAY_MS: ${RESERVE_FAST_TRANSFER_DELAY_MS}`,
     ].join("\n")
   );
 
-  startTelegramHeartbeat();
+  if (ACCOUNT_NAME) {
+    answerAccountHeartbeats();
+  } else {
+    startTelegramHeartbeat();
+  }
   connectPrivateWS();
 
   if (TRADE_MODE !== "demo") {
@@ -1148,13 +6097,33 @@ async function startBot() {
     console.log("ðŸ§ª DEMO MODE: TRADE WS disabled, REST fallback enabled.");
   }
 
-  // Original logic preserved
-  startAutoTransfer();
+  if (MARK_PRICE_STREAM_ENABLED) {
+    console.log(`ðŸ”Œ PUBLIC WS: ${PUBLIC_WS_URL}`);
+    connectPublicWS();
+  } else {
+    console.log("â„¹ï¸ MARK PRICE STREAM disabled, exits use exchange-reported PnL.");
+  }
 
+  startTransferReconciler();
   // Original reserve logic preserved as fallback, wallet WS adds faster trigger
   startUTAReserveMaintainer();
 
+  startTelegramCommandPolling();
+  startHttpApi();
+  watchConfigFile();
+
   startWatchdog();
 }
 
-startBot();
+if (REPLAY_FILE) {
+  runReplay()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error("REPLAY ERROR:", err.message);
+      process.exit(1);
+    });
+} else if (RUN_ACCOUNTS) {
+  startAccounts();
+} else {
+  startBot();
+}
@@ -0,0 +1,209 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import readline from "readline";
+
+dotenv.config();
+
+// ================= USAGE =================
+const USAGE = `Query or export the bot event journal.
+
+Usage: npm run journal -- [options]
+
+  --file <path>        journal file (default: JOURNAL_FILE or bot-journal.jsonl)
+  --type <a,b>         only these event types
+                       (threshold, close_request, close_ack, close_verification,
+                        manual_close, transfer, transfer_reconciled,
+                        transfer_external, topup_decision)
+  --symbol <a,b>       only events for these symbols
+  --since <time>       ISO date, epoch ms, or relative age like 30m / 12h / 7d
+  --until <time>       same formats as --since
+  --limit <n>          keep only the last n matching events
+  --format <fmt>       jsonl (default), csv or table
+  --out <path>         write to a file instead of stdout
+  --help               show this help`;
+
+// ================= ARGS =================
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument: ${arg}`);
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+    if (key === "help") {
+      args.help = true;
+      continue;
+    }
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${key}`);
+    args[key] = value;
+  }
+
+  return args;
+}
+
+function parseList(value) {
+  if (!value) return null;
+  const list = value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return list.length ? new Set(list) : null;
+}
+
+function parseTime(value, name) {
+  if (!value) return null;
+
+  const relative = /^(\d+(?:\.\d+)?)([smhd])$/i.exec(value);
+  if (relative) {
+    const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[relative[2].toLowerCase()];
+    return Date.now() - Number(relative[1]) * unitMs;
+  }
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) throw new Error(`Invalid --${name}: ${value}`);
+  return time;
+}
+
+// ================= READ =================
+async function readJournal(file, { types, symbols, since, until }) {
+  const events = [];
+  const input = fs.createReadStream(file, { encoding: "utf8" });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      // A crash mid-append can leave a torn last line; skip it rather than fail the export.
+      console.error(`Skipping malformed journal line ${lineNumber}`);
+      continue;
+    }
+
+    if (types && !types.has(event.type)) continue;
+    if (symbols && !symbols.has(event.symbol)) continue;
+    if (since !== null && event.ts < since) continue;
+    if (until !== null && event.ts > until) continue;
+
+    events.push(event);
+  }
+
+  return events;
+}
+
+// ================= FORMAT =================
+function formatCell(value) {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function getColumns(events) {
+  const columns = ["time", "type", "symbol"];
+
+  for (const event of events) {
+    for (const key of Object.keys(event)) {
+      if (key !== "ts" && !columns.includes(key)) columns.push(key);
+    }
+  }
+
+  return columns;
+}
+
+function toCsv(events) {
+  const columns = getColumns(events);
+  const escape = (value) => {
+    const cell = formatCell(value);
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+
+  return [columns.join(","), ...events.map((e) => columns.map((c) => escape(e[c])).join(","))]
+    .join("\n")
+    .concat("\n");
+}
+
+function toTable(events) {
+  const columns = ["time", "type", "symbol", "details"];
+  const rows = events.map((event) => {
+    const { ts, time, type, symbol, ...rest } = event;
+    const details = Object.entries(rest)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${formatCell(value)}`)
+      .join(" ");
+    return [time, type, symbol, details].map(formatCell);
+  });
+
+  const widths = columns.map((column, i) =>
+    Math.min(
+      i === columns.length - 1 ? Infinity : 40,
+      Math.max(column.length, ...rows.map((row) => row[i].length))
+    )
+  );
+  const render = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [render(columns), render(widths.map((w) => "-".repeat(w))), ...rows.map(render)]
+    .join("\n")
+    .concat("\n");
+}
+
+function formatEvents(events, format) {
+  if (format === "jsonl") return events.map((e) => `${JSON.stringify(e)}\n`).join("");
+  if (format === "csv") return toCsv(events);
+  return toTable(events);
+}
+
+// ================= MAIN =================
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const file = args.file || process.env.JOURNAL_FILE || "bot-journal.jsonl";
+  const format = (args.format || "jsonl").toLowerCase();
+  const limit = args.limit === undefined ? null : Number(args.limit);
+
+  if (!["jsonl", "csv", "table"].includes(format)) {
+    throw new Error(`Invalid --format: ${format}. Use jsonl, csv or table`);
+  }
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+    throw new Error(`Invalid --limit: ${args.limit}`);
+  }
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Journal file not found: ${file}`);
+  }
+
+  let events = await readJournal(file, {
+    types: parseList(args.type),
+    symbols: parseList(args.symbol?.toUpperCase()),
+    since: parseTime(args.since, "since"),
+    until: parseTime(args.until, "until"),
+  });
+
+  if (limit !== null) events = limit === 0 ? [] : events.slice(-limit);
+
+  const output = formatEvents(events, format);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    console.error(`Wrote ${events.length} event(s) to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((err) => {
+  console.error("JOURNAL ERROR:", err.message);
+  console.error("Run with --help for usage.");
+  process.exit(1);
+});
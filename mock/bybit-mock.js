@@ -0,0 +1,985 @@
+import crypto from "crypto";
+import http from "http";
+import { pathToFileURL } from "url";
+import { WebSocketServer } from "ws";
+
+/**
+ * Local stand-in for the Bybit v5 endpoints the bot uses, for end-to-end tests.
+ *
+ * REST:        /v5/position/list, /v5/order/create, /v5/account/wallet-balance,
+ *              /v5/asset/transfer/inter-transfer, /v5/asset/transfer/query-account-coin-balance,
+ *              /v5/asset/transfer/query-inter-transfer-list,
+ *              /v5/position/closed-pnl, /v5/position/trading-stop,
+ *              /v5/market/instruments-info, /v5/market/time
+ * Private WS:  /v5/private  (auth, subscribe, position/order/execution/wallet pushes)
+ * Trade WS:    /v5/trade    (auth, order.create)
+ * Public WS:   /v5/public/linear (subscribe, tickers.<SYMBOL> pushes via pushTicker)
+ *
+ * Every private REST call and WS auth is HMAC-checked against apiKey/apiSecret the same way
+ * Bybit does it, timestamps against the mock's own clock (local time + settings.clockOffsetMs).
+ * settings.rateLimits[path] = { max, windowMs } caps a private route per window, answering with
+ * the X-Bapi-Limit* headers and retCode 10006 once the window is used up.
+ * settings.tradeAuthDelayMs holds the trade WS auth answer back, keeping the bot reconnecting.
+ * Balances are kept per coin (balances is the USDT one); every coin counts 1 USD, and margin
+ * locked with setWalletBalance(amount, { locked }) is left out of availableToWithdraw.
+ * Transfers are listed by transferId and a repeated transferId is never applied twice;
+ * scriptTransfers makes the next ones answer HTTP 502 after ("lost_response") or instead of
+ * ("lost_request") moving the money.
+ *
+ * Tests drive it through the returned object (setPosition, scriptOrders, ...);
+ * run standalone (`npm run mock`) it exposes the same controls under /__mock/*.
+ */
+
+const RET_OK = { retCode: 0, retMsg: "OK" };
+
+// ================= HELPERS =================
+function hmac(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function toNumberString(value) {
+  return String(Number(Number(value).toFixed(8)));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => resolve(raw));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return null;
+  }
+}
+
+function getPositionKey(symbol, positionIdx = 0) {
+  return `${symbol}:${Number(positionIdx) || 0}`;
+}
+
+// ================= MOCK =================
+export async function startMockBybit({
+  apiKey = "mock-key",
+  apiSecret = "mock-secret",
+  port = 0,
+  host = "127.0.0.1",
+  log = false,
+} = {}) {
+  // "<symbol>:<positionIdx>" -> Bybit-shaped position object (strings, like the real API)
+  const positions = new Map();
+  // symbol -> lotSizeFilter
+  const instruments = new Map();
+  const closedPnl = [];
+  const balances = { UNIFIED: 0, FUND: 0 };
+  // coin -> { UNIFIED, FUND }; USDT is the balances object above
+  const coinBalances = { USDT: balances };
+  // coin -> UNIFIED amount held as margin, not available to withdraw
+  const lockedMargin = {};
+  // Bybit-shaped transfer records, oldest first: { transferId, coin, amount, ..., status }
+  const transfers = [];
+  const privateClients = new Set();
+  const tradeClients = new Set();
+  const publicClients = new Set();
+
+  // Every request the bot made: { at, channel, method, path, query, body, authOk, response }
+  const requests = [];
+  const waiters = new Set();
+
+  // Queued order outcomes: { transport: "ws" | "rest" | "any", action, retCode, retMsg }
+  // action: "reject" (retCode != 0), "drop" (WS: never answer), "ignore" (ack but no fill)
+  const orderScript = [];
+  // Queued inter-transfer faults: "lost_response" | "lost_request"
+  const transferScript = [];
+  const settings = { fillOrders: true, clockOffsetMs: 0, rateLimits: {}, tradeAuthDelayMs: 0 };
+  const rateWindows = new Map();
+  let orderSeq = 0;
+
+  const debug = (...args) => {
+    if (log) console.log("[mock]", ...args);
+  };
+
+  function record(entry) {
+    const request = { at: Date.now(), ...entry };
+    requests.push(request);
+    debug(request.channel, request.method || "", request.path || request.op || "");
+
+    for (const waiter of [...waiters]) {
+      if (!waiter.predicate(request)) continue;
+      waiters.delete(waiter);
+      clearTimeout(waiter.timer);
+      waiter.resolve(request);
+    }
+
+    return request;
+  }
+
+  function waitForRequest(predicate, timeoutMs = 10000) {
+    const existing = requests.find(predicate);
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.delete(waiter);
+        reject(new Error(`mock: no matching request within ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.add(waiter);
+    });
+  }
+
+  // ================= STATE =================
+  function getPositionList(symbol = null) {
+    return [...positions.values()].filter((p) => !symbol || p.symbol === symbol);
+  }
+
+  function push(clients, topic, data) {
+    const message = JSON.stringify({ topic, creationTime: Date.now(), data });
+
+    for (const client of clients) {
+      if (client.authed && client.topics.has(topic) && client.ws.readyState === client.ws.OPEN) {
+        client.ws.send(message);
+      }
+    }
+  }
+
+  function pushPrivate(topic, data) {
+    push(privateClients, topic, data);
+  }
+
+  /**
+   * Sets (or replaces) a position leg and pushes it on the private WS position topic.
+   * size 0 flattens the leg. Missing numbers keep their previous value.
+   */
+  function setPosition({ symbol, positionIdx = 0, push: shouldPush = true, ...fields }) {
+    const key = getPositionKey(symbol, positionIdx);
+    const previous = positions.get(key) || {
+      symbol,
+      positionIdx: Number(positionIdx) || 0,
+      side: "Buy",
+      size: "0",
+      avgPrice: "0",
+      markPrice: "0",
+      unrealisedPnl: "0",
+      leverage: "10",
+      positionValue: "0",
+      positionIM: "0",
+      stopLoss: "0",
+      takeProfit: "0",
+      tpslMode: "Full",
+      category: "linear",
+    };
+
+    const next = { ...previous };
+    for (const [field, value] of Object.entries(fields)) {
+      next[field] = typeof value === "number" ? toNumberString(value) : value;
+    }
+
+    const size = Number(next.size);
+    const avgPrice = Number(next.avgPrice);
+    next.positionValue = toNumberString(size * avgPrice);
+    if (fields.positionIM === undefined) {
+      next.positionIM = toNumberString((size * avgPrice) / Number(next.leverage || 1));
+    }
+
+    if (!(size > 0)) {
+      next.size = "0";
+      next.side = "";
+      next.unrealisedPnl = "0";
+      next.stopLoss = "0";
+      next.takeProfit = "0";
+    }
+
+    next.updatedTime = String(Date.now());
+    positions.set(key, next);
+
+    if (shouldPush) pushPrivate("position", [next]);
+    return next;
+  }
+
+  // Public ticker push. Like Bybit's deltas it only carries the fields passed in.
+  function pushTicker(symbol, markPrice, fields = {}) {
+    const data = { symbol, markPrice: toNumberString(markPrice) };
+    for (const [field, value] of Object.entries(fields)) {
+      data[field] = typeof value === "number" ? toNumberString(value) : value;
+    }
+    push(publicClients, `tickers.${symbol}`, data);
+    return data;
+  }
+
+  function setInstrument(
+    symbol,
+    { qtyStep = "0.001", minOrderQty = "0.001", tickSize = "0.1" } = {}
+  ) {
+    instruments.set(symbol, {
+      lotSizeFilter: { qtyStep: String(qtyStep), minOrderQty: String(minOrderQty) },
+      priceFilter: { tickSize: String(tickSize) },
+    });
+  }
+
+  function getCoinBalances(coin) {
+    coinBalances[coin] ??= { UNIFIED: 0, FUND: 0 };
+    return coinBalances[coin];
+  }
+
+  function getAvailableToWithdraw(coin) {
+    return Math.max(0, getCoinBalances(coin).UNIFIED - (lockedMargin[coin] || 0));
+  }
+
+  function setWalletBalance(amount, { coin = "USDT", locked = 0, push: shouldPush = true } = {}) {
+    getCoinBalances(coin).UNIFIED = Number(amount);
+    lockedMargin[coin] = Number(locked);
+    if (shouldPush) pushPrivate("wallet", [buildWalletAccount()]);
+  }
+
+  function setFundingBalance(amount, { coin = "USDT" } = {}) {
+    getCoinBalances(coin).FUND = Number(amount);
+  }
+
+  function buildWalletAccount() {
+    const coins = Object.entries(coinBalances).map(([coin, { UNIFIED }]) => ({
+      coin,
+      equity: toNumberString(UNIFIED),
+      usdValue: toNumberString(UNIFIED),
+      walletBalance: toNumberString(UNIFIED),
+      availableToWithdraw: toNumberString(getAvailableToWithdraw(coin)),
+    }));
+    const totalEquity = Object.values(coinBalances).reduce((sum, b) => sum + b.UNIFIED, 0);
+
+    return { accountType: "UNIFIED", totalEquity: toNumberString(totalEquity), coin: coins };
+  }
+
+  function scriptOrders(outcome, times = 1) {
+    for (let i = 0; i < times; i++) {
+      orderScript.push({ transport: "any", retCode: 10001, retMsg: "mock rejection", ...outcome });
+    }
+  }
+
+  function takeScriptedOutcome(transport) {
+    const index = orderScript.findIndex((o) => o.transport === "any" || o.transport === transport);
+    return index === -1 ? null : orderScript.splice(index, 1)[0];
+  }
+
+  // ================= TRANSFERS =================
+  function scriptTransfers(fault, times = 1) {
+    for (let i = 0; i < times; i++) transferScript.push(fault);
+  }
+
+  function applyTransfer({ transferId = crypto.randomUUID(), coin = "USDT", amount, from, to }) {
+    getCoinBalances(coin)[from] -= amount;
+    getCoinBalances(coin)[to] += amount;
+    if (from === "UNIFIED" || to === "UNIFIED") pushPrivate("wallet", [buildWalletAccount()]);
+
+    const transfer = {
+      transferId,
+      coin,
+      amount: toNumberString(amount),
+      fromAccountType: from,
+      toAccountType: to,
+      timestamp: String(serverNow()),
+      status: "SUCCESS",
+    };
+    transfers.push(transfer);
+    return transfer;
+  }
+
+  // A transfer made outside the bot (by hand or by another tool on the same account).
+  function addExternalTransfer({ amount, from = "FUND", to = "UNIFIED", coin = "USDT" }) {
+    return applyTransfer({ coin, amount: Number(amount), from, to });
+  }
+
+  function listTransfers(query) {
+    const startTime = Number(query.get("startTime") || 0);
+    const endTime = Number(query.get("endTime") || Infinity);
+    const limit = Math.min(Number(query.get("limit") || 20), 50);
+    const offset = Number(query.get("cursor") || 0);
+
+    const matching = transfers
+      .filter(
+        (t) =>
+          (!query.get("transferId") || t.transferId === query.get("transferId")) &&
+          (!query.get("coin") || t.coin === query.get("coin")) &&
+          (!query.get("status") || t.status === query.get("status")) &&
+          Number(t.timestamp) >= startTime &&
+          Number(t.timestamp) <= endTime
+      )
+      .reverse();
+
+    return {
+      list: matching.slice(offset, offset + limit),
+      nextPageCursor: offset + limit < matching.length ? String(offset + limit) : "",
+    };
+  }
+
+  // ================= ORDERS =================
+  function validateOrder(order) {
+    if (order?.category !== "linear") return { retCode: 10001, retMsg: "category must be linear" };
+    if (!order.symbol) return { retCode: 10001, retMsg: "symbol is required" };
+    if (!["Buy", "Sell"].includes(order.side)) return { retCode: 10001, retMsg: "invalid side" };
+    if (!(Number(order.qty) > 0)) return { retCode: 10001, retMsg: "invalid qty" };
+    return null;
+  }
+
+  // Market fill at the mark price. Reduce-only orders never flip or open a leg.
+  function fillOrder(order, orderId) {
+    const key = getPositionKey(order.symbol, order.positionIdx);
+    const pos = positions.get(key);
+    const qty = Number(order.qty);
+    const size = Number(pos?.size || 0);
+    const closing = size > 0 && pos.side !== order.side;
+
+    if (order.reduceOnly && !closing) {
+      return {
+        retCode: 110017,
+        retMsg: "current position is zero, cannot fix reduce-only order qty",
+      };
+    }
+
+    if (closing) {
+      const closedSize = Math.min(qty, size);
+      const pnlPerUnit = Number(pos.unrealisedPnl) / size;
+      const realized = pnlPerUnit * closedSize;
+      const remaining = size - closedSize;
+
+      closedPnl.push({
+        symbol: order.symbol,
+        side: order.side,
+        qty: toNumberString(closedSize),
+        closedSize: toNumberString(closedSize),
+        closedPnl: toNumberString(realized),
+        orderId,
+        createdTime: String(Date.now()),
+        updatedTime: String(Date.now()),
+      });
+
+      setPosition({
+        symbol: order.symbol,
+        positionIdx: order.positionIdx,
+        size: remaining,
+        unrealisedPnl: pnlPerUnit * remaining,
+        push: false,
+      });
+
+      pushExecution(order, orderId, closedSize);
+    } else {
+      setPosition({
+        symbol: order.symbol,
+        positionIdx: order.positionIdx,
+        side: order.side,
+        size: size + qty,
+        avgPrice: pos?.avgPrice && size > 0 ? Number(pos.avgPrice) : Number(pos?.markPrice || 0),
+        push: false,
+      });
+
+      pushExecution(order, orderId, 0);
+    }
+
+    pushPrivate("position", [positions.get(key)]);
+    return null;
+  }
+
+  function pushExecution(order, orderId, closedSize) {
+    const base = {
+      category: "linear",
+      symbol: order.symbol,
+      side: order.side,
+      orderId,
+      qty: String(order.qty),
+      positionIdx: Number(order.positionIdx) || 0,
+    };
+
+    pushPrivate("order", [{ ...base, orderType: "Market", orderStatus: "Filled" }]);
+    pushPrivate("execution", [
+      { ...base, execQty: String(order.qty), closedSize: String(closedSize) },
+    ]);
+  }
+
+  // Shared by REST and trade WS. Returns { retCode, retMsg, result } or null for a dropped ack.
+  function handleOrderCreate(order, transport) {
+    const scripted = takeScriptedOutcome(transport);
+    if (scripted?.action === "drop" && transport === "ws") return null;
+
+    const invalid = validateOrder(order);
+    if (invalid) return invalid;
+
+    if (scripted && scripted.action !== "ignore" && scripted.action !== "drop") {
+      return { retCode: scripted.retCode, retMsg: scripted.retMsg };
+    }
+
+    orderSeq += 1;
+    const orderId = `mock-order-${orderSeq}`;
+
+    if (settings.fillOrders && scripted?.action !== "ignore") {
+      const rejected = fillOrder(order, orderId);
+      if (rejected) return rejected;
+    }
+
+    return { ...RET_OK, result: { orderId, orderLinkId: order.orderLinkId || "" } };
+  }
+
+  // ================= REST AUTH =================
+  // Legacy query signing: sorted key=value of every param except sign.
+  function checkQuerySignature(query) {
+    if (!query.has("sign")) return null;
+
+    const params = [...query.entries()].filter(([key]) => key !== "sign");
+    const payload = params
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join("&");
+
+    if (query.get("api_key") !== apiKey) return { retCode: 10003, retMsg: "API key is invalid." };
+    if (!safeEqual(hmac(apiSecret, payload), query.get("sign"))) {
+      return { retCode: 10004, retMsg: "error sign!" };
+    }
+
+    return checkTimestamp(query.get("timestamp"), query.get("recv_window"));
+  }
+
+  // V5 header signing: timestamp + apiKey + recvWindow + (query string | body).
+  function checkHeaderSignature(req, payload) {
+    const key = req.headers["x-bapi-api-key"];
+    const timestamp = req.headers["x-bapi-timestamp"];
+    const recvWindow = req.headers["x-bapi-recv-window"] || "5000";
+    const sign = req.headers["x-bapi-sign"];
+
+    if (!key || !sign) return { retCode: 10003, retMsg: "Missing API key or signature." };
+    if (key !== apiKey) return { retCode: 10003, retMsg: "API key is invalid." };
+    if (!safeEqual(hmac(apiSecret, `${timestamp}${key}${recvWindow}${payload}`), sign)) {
+      return { retCode: 10004, retMsg: "error sign!" };
+    }
+
+    return checkTimestamp(timestamp, recvWindow);
+  }
+
+  // The exchange clock; a non-zero clockOffsetMs simulates a bot host whose clock has drifted.
+  function serverNow() {
+    return Date.now() + settings.clockOffsetMs;
+  }
+
+  // Fixed windows per path. Returns the headers to send and whether this call is over the cap.
+  function takeRateLimit(path) {
+    const limit = settings.rateLimits[path];
+    if (!limit) return { headers: {}, limited: false };
+
+    const now = serverNow();
+    let window = rateWindows.get(path);
+    if (!window || now >= window.resetAt) {
+      window = { used: 0, resetAt: now + (limit.windowMs ?? 1000) };
+      rateWindows.set(path, window);
+    }
+    window.used += 1;
+
+    return {
+      headers: {
+        "X-Bapi-Limit": String(limit.max),
+        "X-Bapi-Limit-Status": String(Math.max(limit.max - window.used, 0)),
+        "X-Bapi-Limit-Reset-Timestamp": String(window.resetAt),
+      },
+      limited: window.used > limit.max,
+    };
+  }
+
+  function checkTimestamp(timestamp, recvWindow = "5000") {
+    const drift = serverNow() - Number(timestamp);
+    if (!Number.isFinite(drift) || drift > Number(recvWindow) || drift < -1000) {
+      return { retCode: 10002, retMsg: "invalid request, please check your server timestamp" };
+    }
+    return null;
+  }
+
+  // Full-mode TP/SL on the whole leg. "0" cancels a level, an omitted one is left as it is.
+  function handleTradingStop(body) {
+    const position = positions.get(getPositionKey(body?.symbol, body?.positionIdx ?? 0));
+
+    if (body?.category !== "linear" || !position || !(Number(position.size) > 0)) {
+      return { retCode: 10001, retMsg: "can not set tp/sl/ts for zero position" };
+    }
+
+    const fields = {};
+    if (body.stopLoss !== undefined) fields.stopLoss = String(body.stopLoss);
+    if (body.takeProfit !== undefined) fields.takeProfit = String(body.takeProfit);
+
+    if (Object.entries(fields).every(([field, value]) => position[field] === value)) {
+      return { retCode: 34040, retMsg: "not modified" };
+    }
+
+    setPosition({ symbol: position.symbol, positionIdx: position.positionIdx, ...fields });
+    return { ...RET_OK, result: {} };
+  }
+
+  // ================= REST ROUTES =================
+  function handlePrivateRest(method, path, query, body) {
+    if (method === "GET" && path === "/v5/position/list") {
+      const symbol = query.get("symbol");
+      const list = symbol
+        ? getPositionList(symbol)
+        : getPositionList().filter((p) => Number(p.size) > 0);
+      return { ...RET_OK, result: { category: "linear", list, nextPageCursor: "" } };
+    }
+
+    if (method === "POST" && path === "/v5/order/create") {
+      return handleOrderCreate(body, "rest");
+    }
+
+    if (method === "POST" && path === "/v5/position/trading-stop") {
+      return handleTradingStop(body);
+    }
+
+    if (method === "GET" && path === "/v5/account/wallet-balance") {
+      return { ...RET_OK, result: { list: [buildWalletAccount()] } };
+    }
+
+    if (method === "GET" && path === "/v5/asset/transfer/query-account-coin-balance") {
+      const accountType = query.get("accountType");
+      const coin = query.get("coin");
+      if (!(accountType in balances) || !coin) {
+        return { retCode: 10001, retMsg: "invalid accountType or coin" };
+      }
+
+      const walletBalance = toNumberString(getCoinBalances(coin)[accountType]);
+      const transferBalance =
+        accountType === "UNIFIED" ? toNumberString(getAvailableToWithdraw(coin)) : walletBalance;
+      return {
+        ...RET_OK,
+        result: { accountType, balance: { coin, walletBalance, transferBalance } },
+      };
+    }
+
+    if (method === "GET" && path === "/v5/position/closed-pnl") {
+      const startTime = Number(query.get("startTime") || 0);
+      const list = closedPnl.filter((row) => Number(row.updatedTime) >= startTime);
+      return { ...RET_OK, result: { category: "linear", list, nextPageCursor: "" } };
+    }
+
+    if (method === "POST" && path === "/v5/asset/transfer/inter-transfer") {
+      const amount = Number(body.amount);
+      const from = body.fromAccountType;
+      const to = body.toAccountType;
+
+      if (!(amount > 0) || !(from in balances) || !(to in balances) || !body.coin) {
+        return { retCode: 10001, retMsg: "invalid transfer request" };
+      }
+
+      const existing = transfers.find((t) => t.transferId === body.transferId);
+      if (existing) {
+        return { ...RET_OK, result: { transferId: existing.transferId, status: "SUCCESS" } };
+      }
+
+      const available =
+        from === "UNIFIED" ? getAvailableToWithdraw(body.coin) : getCoinBalances(body.coin)[from];
+      if (available < amount) {
+        return { retCode: 131212, retMsg: "insufficient balance" };
+      }
+
+      applyTransfer({ transferId: body.transferId, coin: body.coin, amount, from, to });
+      return { ...RET_OK, result: { transferId: body.transferId, status: "SUCCESS" } };
+    }
+
+    if (method === "GET" && path === "/v5/asset/transfer/query-inter-transfer-list") {
+      return { ...RET_OK, result: listTransfers(query) };
+    }
+
+    return null;
+  }
+
+  async function handleRest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const { pathname: path, searchParams: query } = url;
+    const rawBody = req.method === "POST" ? await readBody(req) : "";
+
+    if (path.startsWith("/__mock/")) {
+      await handleControl(req, res, path, rawBody);
+      return;
+    }
+
+    if (req.method === "GET" && path === "/v5/market/time") {
+      const now = serverNow();
+      const response = {
+        ...RET_OK,
+        result: { timeSecond: String(Math.floor(now / 1000)), timeNano: `${now}000000` },
+      };
+      record({ channel: "rest", method: "GET", path, response });
+      sendJson(res, 200, { ...response, time: now });
+      return;
+    }
+
+    if (req.method === "GET" && path === "/v5/market/instruments-info") {
+      const symbol = query.get("symbol");
+      const filters = instruments.get(symbol) || {
+        lotSizeFilter: { qtyStep: "0.001", minOrderQty: "0.001" },
+        priceFilter: { tickSize: "0.1" },
+      };
+      const response = {
+        ...RET_OK,
+        result: { category: "linear", list: [{ symbol, ...filters }] },
+      };
+      record({ channel: "rest", method: "GET", path, query: Object.fromEntries(query), response });
+      sendJson(res, 200, response);
+      return;
+    }
+
+    const body = parseJson(rawBody);
+    const rawQuery = url.search.slice(1);
+    const authError =
+      req.method === "GET" && query.has("sign")
+        ? checkQuerySignature(query)
+        : checkHeaderSignature(req, req.method === "GET" ? rawQuery : rawBody);
+
+    const rateLimit = authError ? { headers: {}, limited: false } : takeRateLimit(path);
+
+    let response;
+    if (authError) {
+      response = authError;
+    } else if (rateLimit.limited) {
+      response = { retCode: 10006, retMsg: "Too many visits. Exceeded the API Rate Limit." };
+    } else if (body === null) {
+      response = { retCode: 10001, retMsg: "invalid JSON body" };
+    } else {
+      const fault =
+        req.method === "POST" && path === "/v5/asset/transfer/inter-transfer"
+          ? transferScript.shift()
+          : undefined;
+      if (fault !== "lost_request") response = handlePrivateRest(req.method, path, query, body);
+      if (fault) response = { httpStatus: 502, retCode: 10016, retMsg: `mock: ${fault}` };
+    }
+
+    record({
+      channel: "rest",
+      method: req.method,
+      path,
+      query: Object.fromEntries(query),
+      body,
+      authOk: !authError,
+      response,
+    });
+
+    if (!response) {
+      sendJson(res, 404, { retCode: 10001, retMsg: `mock: unknown route ${req.method} ${path}` });
+      return;
+    }
+
+    if (response.httpStatus) {
+      sendJson(res, response.httpStatus, { retCode: response.retCode, retMsg: response.retMsg });
+      return;
+    }
+
+    sendJson(
+      res,
+      200,
+      { ...response, result: response.result ?? {}, time: serverNow() },
+      rateLimit.headers
+    );
+  }
+
+  // Standalone scripting over HTTP: the same controls the test API exposes.
+  async function handleControl(req, res, path, rawBody) {
+    const body = parseJson(rawBody) || {};
+
+    if (req.method === "GET" && path === "/__mock/requests") {
+      sendJson(res, 200, requests);
+      return;
+    }
+
+    if (req.method === "GET" && path === "/__mock/positions") {
+      sendJson(res, 200, getPositionList());
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/position") {
+      sendJson(res, 200, setPosition(body));
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/ticker") {
+      sendJson(res, 200, pushTicker(body.symbol, body.markPrice));
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/wallet") {
+      const coin = body.coin || "USDT";
+      if (body.unified !== undefined) {
+        setWalletBalance(body.unified, { coin, locked: Number(body.locked || 0) });
+      }
+      if (body.fund !== undefined) setFundingBalance(body.fund, { coin });
+      sendJson(res, 200, coinBalances);
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/transfers") {
+      if (body.fault) scriptTransfers(body.fault, Number(body.times || 1));
+      if (body.external) addExternalTransfer(body.external);
+      sendJson(res, 200, { transfers, scripted: transferScript.length });
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/clock") {
+      settings.clockOffsetMs = Number(body.offsetMs) || 0;
+      sendJson(res, 200, { clockOffsetMs: settings.clockOffsetMs });
+      return;
+    }
+
+    if (req.method === "POST" && path === "/__mock/orders") {
+      if (body.fillOrders !== undefined) settings.fillOrders = Boolean(body.fillOrders);
+      if (body.action) scriptOrders(body, Number(body.times || 1));
+      sendJson(res, 200, { fillOrders: settings.fillOrders, scripted: orderScript.length });
+      return;
+    }
+
+    sendJson(res, 404, { error: "unknown mock control route" });
+  }
+
+  // ================= WEBSOCKETS =================
+  function handleWsAuth(client, msg) {
+    const [key, expires, signature] = msg.args || [];
+    const ok =
+      key === apiKey &&
+      Number(expires) > serverNow() &&
+      safeEqual(hmac(apiSecret, `GET/realtime${expires}`), signature);
+
+    record({ channel: client.channel, op: "auth", authOk: ok });
+
+    const answer = () => {
+      if (client.ws.readyState !== client.ws.OPEN) return;
+      client.authed = ok;
+      client.ws.send(
+        JSON.stringify({
+          op: "auth",
+          success: ok,
+          retCode: ok ? 0 : 10004,
+          ret_msg: ok ? "" : "error sign!",
+          conn_id: client.id,
+        })
+      );
+    };
+
+    const delayMs = client.channel === "trade" ? settings.tradeAuthDelayMs : 0;
+    if (delayMs > 0) setTimeout(answer, delayMs);
+    else answer();
+  }
+
+  function handlePrivateMessage(client, msg) {
+    if (msg.op === "ping") {
+      client.ws.send(JSON.stringify({ op: "pong", conn_id: client.id }));
+      return;
+    }
+
+    if (msg.op === "auth") {
+      handleWsAuth(client, msg);
+      return;
+    }
+
+    if (msg.op === "subscribe") {
+      if (client.authed) for (const topic of msg.args || []) client.topics.add(topic);
+      record({ channel: "private", op: "subscribe", args: msg.args, authOk: client.authed });
+      client.ws.send(
+        JSON.stringify({
+          op: "subscribe",
+          success: client.authed,
+          ret_msg: client.authed ? "" : "request not authorized",
+          conn_id: client.id,
+        })
+      );
+    }
+  }
+
+  // Public streams need no auth; a ping is answered with op "ping" and ret_msg "pong".
+  function handlePublicMessage(client, msg) {
+    if (msg.op === "ping") {
+      client.ws.send(
+        JSON.stringify({ success: true, ret_msg: "pong", op: "ping", conn_id: client.id })
+      );
+      return;
+    }
+
+    if (msg.op !== "subscribe" && msg.op !== "unsubscribe") return;
+
+    for (const topic of msg.args || []) {
+      if (msg.op === "subscribe") client.topics.add(topic);
+      else client.topics.delete(topic);
+    }
+    record({ channel: "public", op: msg.op, args: msg.args });
+    client.ws.send(
+      JSON.stringify({ op: msg.op, success: true, ret_msg: "", conn_id: client.id, req_id: "" })
+    );
+  }
+
+  function handleTradeMessage(client, msg) {
+    if (msg.op === "ping") {
+      client.ws.send(JSON.stringify({ op: "pong", conn_id: client.id }));
+      return;
+    }
+
+    if (msg.op === "auth") {
+      handleWsAuth(client, msg);
+      return;
+    }
+
+    if (msg.op !== "order.create") return;
+
+    const order = msg.args?.[0];
+    const response = client.authed
+      ? handleOrderCreate(order, "ws")
+      : { retCode: 10003, retMsg: "request not authorized" };
+
+    record({
+      channel: "trade",
+      op: msg.op,
+      reqId: msg.reqId,
+      header: msg.header,
+      body: order,
+      authOk: client.authed,
+      response,
+    });
+
+    if (!response) return;
+
+    client.ws.send(
+      JSON.stringify({
+        reqId: msg.reqId,
+        retCode: response.retCode,
+        retMsg: response.retMsg,
+        op: "order.create",
+        data: response.result || {},
+        header: { Timenow: String(Date.now()) },
+        connId: client.id,
+      })
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRest(req, res).catch((err) => {
+      if (!res.headersSent) sendJson(res, 500, { retCode: 10016, retMsg: err.message });
+    });
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  let clientSeq = 0;
+
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const channel = {
+      "/v5/private": "private",
+      "/v5/trade": "trade",
+      "/v5/public/linear": "public",
+    }[pathname];
+
+    if (!channel) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      clientSeq += 1;
+      const client = {
+        id: `mock-conn-${clientSeq}`,
+        channel,
+        ws,
+        authed: channel === "public",
+        topics: new Set(),
+      };
+      const clients = { private: privateClients, trade: tradeClients, public: publicClients }[
+        channel
+      ];
+      clients.add(client);
+
+      ws.on("message", (raw) => {
+        const msg = parseJson(String(raw));
+        if (!msg) return;
+        if (channel === "private") handlePrivateMessage(client, msg);
+        else if (channel === "public") handlePublicMessage(client, msg);
+        else handleTradeMessage(client, msg);
+      });
+
+      ws.on("close", () => clients.delete(client));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const base = `${address.address}:${address.port}`;
+
+  return {
+    apiKey,
+    apiSecret,
+    port: address.port,
+    restUrl: `http://${base}`,
+    privateWsUrl: `ws://${base}/v5/private`,
+    tradeWsUrl: `ws://${base}/v5/trade`,
+    publicWsUrl: `ws://${base}/v5/public/linear`,
+    requests,
+    positions,
+    balances,
+    coinBalances,
+    settings,
+    closedPnl,
+    transfers,
+    setPosition,
+    setInstrument,
+    setWalletBalance,
+    setFundingBalance,
+    pushTicker,
+    scriptOrders,
+    scriptTransfers,
+    addExternalTransfer,
+    waitForRequest,
+    getPosition: (symbol, positionIdx = 0) => positions.get(getPositionKey(symbol, positionIdx)),
+    // Closes every socket, which makes the bot reconnect; used to test reconnect handling.
+    dropConnections(channel = null) {
+      for (const client of [...privateClients, ...tradeClients, ...publicClients]) {
+        if (!channel || client.channel === channel) client.ws.terminate();
+      }
+    },
+    async close() {
+      for (const client of [...privateClients, ...tradeClients, ...publicClients]) {
+        client.ws.terminate();
+      }
+      for (const waiter of waiters) clearTimeout(waiter.timer);
+      waiters.clear();
+      wss.close();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ================= STANDALONE =================
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockBybit({
+    apiKey: process.env.MOCK_API_KEY || "mock-key",
+    apiSecret: process.env.MOCK_API_SECRET || "mock-secret",
+    port: Number(process.env.MOCK_PORT ?? 9400),
+    host: process.env.MOCK_HOST || "127.0.0.1",
+    log: true,
+  });
+
+  console.log(`Mock Bybit listening on ${mock.restUrl}`);
+  console.log("Run the bot against it with:");
+  console.log(`  API_KEY=${mock.apiKey} API_SECRET=${mock.apiSecret} TRADE_MODE=testnet \\`);
+  console.log(`  BYBIT_REST_URL=${mock.restUrl} \\`);
+  console.log(`  BYBIT_PRIVATE_WS_URL=${mock.privateWsUrl} \\`);
+  console.log(`  BYBIT_TRADE_WS_URL=${mock.tradeWsUrl} \\`);
+  console.log(`  BYBIT_PUBLIC_WS_URL=${mock.publicWsUrl} npm start`);
+  console.log("Script it with POST /__mock/position, /__mock/ticker, /__mock/wallet,");
+  console.log("/__mock/clock, /__mock/orders and inspect GET /__mock/requests, /__mock/positions.");
+}
@@ -0,0 +1,795 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+
+import { startMockBybit } from "../mock/bybit-mock.js";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Runs index.js against the mock with an env built from scratch. cwd is a fresh temp dir so
+ * dotenv never picks up the repo's .env, and state/journal files stay out of the tree.
+ * config is written to bot-config.json in that dir before the bot starts.
+ */
+async function startBot(mock, env = {}, { config } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bybit-bot-test-"));
+  if (config) fs.writeFileSync(path.join(dir, "bot-config.json"), JSON.stringify(config));
+  const child = spawn(process.execPath, [path.join(ROOT, "index.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      API_KEY: mock.apiKey,
+      API_SECRET: mock.apiSecret,
+      TRADE_MODE: "testnet",
+      BYBIT_REST_URL: mock.restUrl,
+      BYBIT_PRIVATE_WS_URL: mock.privateWsUrl,
+      BYBIT_TRADE_WS_URL: mock.tradeWsUrl,
+      BYBIT_PUBLIC_WS_URL: mock.publicWsUrl,
+      SYMBOLS: "BTCUSDT",
+      MAX_LOSS: "-10",
+      TAKE_PROFIT: "20",
+      TELEGRAM_LOGS_ENABLED: "false",
+      BOT_STATE_FILE: path.join(dir, "bot-state.json"),
+      JOURNAL_FILE: path.join(dir, "journal.jsonl"),
+      CLOSE_VERIFY_DELAY_MS: "100",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  const listeners = new Set();
+  const onData = (chunk) => {
+    output += chunk;
+    for (const listener of [...listeners]) listener();
+  };
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+
+  const bot = {
+    dir,
+    get output() {
+      return output;
+    },
+    mark: () => output.length,
+    waitForLog(pattern, { since = 0, timeoutMs = 10000 } = {}) {
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          const match = output.slice(since).match(pattern);
+          if (!match) return false;
+          listeners.delete(check);
+          clearTimeout(timer);
+          resolve(match);
+          return true;
+        };
+        const timer = setTimeout(() => {
+          listeners.delete(check);
+          const tail = output.slice(-3000);
+          reject(new Error(`bot never logged ${pattern}\n--- output tail ---\n${tail}`));
+        }, timeoutMs);
+
+        if (!check()) listeners.add(check);
+      });
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill("SIGTERM");
+        await once(child, "exit");
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+
+  await bot.waitForLog(/PRIVATE WS SUBSCRIBED/);
+  await bot.waitForLog(/TRADE WS AUTH OK/);
+  return bot;
+}
+
+// Pushes a PnL tick for the default long BTCUSDT leg and waits until the bot has evaluated it.
+async function pushPnl(mock, bot, unrealisedPnl, size = 0.01) {
+  const since = bot.mark();
+  mock.setPosition({
+    symbol: "BTCUSDT",
+    side: "Buy",
+    size,
+    avgPrice: 60000,
+    markPrice: 60000 + unrealisedPnl / size,
+    unrealisedPnl,
+  });
+  const evaluated = new RegExp(`PnL \\(USDT\\): ${escapeRegExp(unrealisedPnl)}\\b`);
+  await bot.waitForLog(evaluated, { since });
+}
+
+const orderRequests = (mock) =>
+  mock.requests.filter(
+    (r) => (r.channel === "trade" && r.op === "order.create") || r.path === "/v5/order/create"
+  );
+
+describe("bot against the mock exchange", () => {
+  let mock;
+  let bot;
+
+  beforeEach(async () => {
+    mock = await startMockBybit();
+  });
+
+  afterEach(async () => {
+    await bot?.stop();
+    bot = null;
+    await mock.close();
+  });
+
+  test("closes over the trade WS once PnL crosses TAKE_PROFIT, not before", async () => {
+    bot = await startBot(mock);
+
+    for (const pnl of [5, 12, 19.5]) {
+      await pushPnl(mock, bot, pnl);
+    }
+    assert.equal(orderRequests(mock).length, 0);
+
+    await pushPnl(mock, bot, 20.5);
+    const order = await mock.waitForRequest(
+      (r) => r.channel === "trade" && r.op === "order.create"
+    );
+
+    assert.equal(order.authOk, true);
+    assert.equal(order.body.side, "Sell");
+    assert.equal(order.body.qty, "0.01");
+    assert.equal(order.body.reduceOnly, true);
+
+    await bot.waitForLog(/position confirmed closed/);
+    assert.equal(mock.getPosition("BTCUSDT").size, "0");
+    assert.equal(orderRequests(mock).length, 1);
+
+    const ack = fs
+      .readFileSync(path.join(bot.dir, "journal.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+      .find((e) => e.type === "close_ack");
+
+    assert.equal(ack.transport, "ws");
+    assert.equal(ack.symbol, "BTCUSDT");
+    assert.equal(ack.positionIdx, 0);
+  });
+
+  test("falls back to REST when the trade WS rejects the close", async () => {
+    bot = await startBot(mock);
+    mock.scriptOrders({ transport: "ws", action: "reject", retMsg: "mock reject" });
+
+    await pushPnl(mock, bot, -12);
+    const restOrder = await mock.waitForRequest(
+      (r) => r.path === "/v5/order/create" && r.response?.retCode === 0
+    );
+
+    assert.equal(restOrder.authOk, true);
+    assert.equal(restOrder.body.reduceOnly, true);
+    await bot.waitForLog(/position confirmed closed/);
+    assert.deepEqual(orderRequests(mock).map((r) => r.channel), ["trade", "rest"]);
+  });
+
+  test("falls back to REST when the WS ack never arrives", async () => {
+    bot = await startBot(mock, { TRADE_WS_ACK_TIMEOUT_MS: "300" });
+    mock.scriptOrders({ transport: "ws", action: "drop" });
+
+    await pushPnl(mock, bot, -15);
+    await bot.waitForLog(/WS close timeout/);
+    await mock.waitForRequest((r) => r.path === "/v5/order/create");
+    await bot.waitForLog(/position confirmed closed/);
+  });
+
+  test("signs against the exchange clock and resyncs when it drifts", async () => {
+    mock.settings.clockOffsetMs = 60000;
+    bot = await startBot(mock);
+    const offset = Number(bot.output.match(/SERVER CLOCK OFFSET: (-?\d+)ms/)[1]);
+    assert.ok(Math.abs(offset - 60000) < 1000, `offset ${offset}`);
+
+    // The exchange clock jumps again; the next signed call is rejected once, then resynced.
+    mock.settings.clockOffsetMs = 120000;
+    mock.scriptOrders({ transport: "ws", action: "reject", retMsg: "mock reject" });
+    await pushPnl(mock, bot, -12);
+    await mock.waitForRequest((r) => r.path === "/v5/order/create" && r.response?.retCode === 0);
+    await bot.waitForLog(/position confirmed closed/);
+
+    const rest = mock.requests.filter((r) => r.channel === "rest");
+    const rejected = rest.findIndex((r) => r.response?.retCode === 10002);
+    assert.ok(rejected >= 0);
+    assert.equal(rest[rejected + 1].path, "/v5/market/time");
+    assert.equal(rest[rejected + 2].path, rest[rejected].path);
+    assert.equal(rest[rejected + 2].response.retCode, 0);
+  });
+
+  test("holds REST calls for the rate-limit reset instead of tripping the limit", async () => {
+    bot = await startBot(mock, { CLOSE_VERIFY_RETRIES: "6", CLOSE_ESCALATION_ROUNDS: "0" });
+    mock.settings.fillOrders = false;
+    mock.settings.rateLimits["/v5/position/list"] = { max: 3, windowMs: 1500 };
+
+    await pushPnl(mock, bot, -11);
+    await bot.waitForLog(/REST QUOTA LOW \/v5\/position\/list: 0\/3 left/);
+    await bot.waitForLog(/MANUAL ATTENTION NEEDED/);
+
+    const reads = mock.requests.filter((r) => r.path === "/v5/position/list");
+    assert.ok(reads.length >= 6, `only ${reads.length} position reads`);
+    assert.equal(reads.filter((r) => r.response?.retCode === 10006).length, 0);
+  });
+
+  test("closes on a mark-price tick using locally computed PnL", async () => {
+    bot = await startBot(mock);
+    await bot.waitForLog(/PUBLIC WS SUBSCRIBED/);
+    await pushPnl(mock, bot, 0);
+
+    let since = bot.mark();
+    mock.pushTicker("BTCUSDT", 61000);
+    await bot.waitForLog(/PnL \(USDT\): 10\b/, { since });
+    assert.equal(orderRequests(mock).length, 0);
+
+    // The exchange still reports 0 PnL; only the tick says the position is at +25.
+    since = bot.mark();
+    mock.pushTicker("BTCUSDT", 62500);
+    await bot.waitForLog(/TAKE PROFIT HIT/, { since });
+    await mock.waitForRequest((r) => r.channel === "trade" && r.op === "order.create");
+    await bot.waitForLog(/position confirmed closed/);
+
+    const threshold = fs
+      .readFileSync(path.join(bot.dir, "journal.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+      .find((e) => e.type === "threshold");
+
+    assert.equal(threshold.trigger, "take_profit");
+    assert.equal(threshold.markPrice, "62500");
+    assert.equal(threshold.unrealisedPnl, 25);
+    assert.equal(orderRequests(mock).length, 1);
+  });
+
+  test("mirrors thresholds onto exchange TP/SL and reports hand edits", async () => {
+    bot = await startBot(mock, { EXCHANGE_TPSL_ENABLED: "true" });
+    const tradingStops = () => mock.requests.filter((r) => r.path === "/v5/position/trading-stop");
+
+    // -10 / +20 USDT on 0.01 @ 60000 is 59000 / 62000, pushed out by 0.5% of entry (300).
+    await pushPnl(mock, bot, 0);
+    await bot.waitForLog(/EXCHANGE TP\/SL SET \| SL 58700 \| TP 62300 \| size 0.01/);
+    assert.equal(tradingStops()[0].body.tpslMode, "Full");
+    assert.equal(mock.getPosition("BTCUSDT").stopLoss, "58700");
+
+    // Let the settle window pass so the edit cannot be mistaken for our own update landing.
+    await delay(3200);
+    mock.setPosition({ symbol: "BTCUSDT", stopLoss: 55000 });
+    await bot.waitForLog(/EXCHANGE TP\/SL CHANGED BY HAND \| SL 58700 -> 55000/);
+    assert.equal(tradingStops().length, 1);
+
+    await pushPnl(mock, bot, 0, 0.02);
+    await bot.waitForLog(/EXCHANGE TP\/SL SET \| SL 59200 \| TP 61300 \| size 0.02/);
+    assert.equal(mock.getPosition("BTCUSDT").stopLoss, "59200");
+    assert.equal(orderRequests(mock).length, 0);
+  });
+
+  test("applies a threshold change from the config file without reconnecting", async () => {
+    bot = await startBot(mock, {}, { config: { TAKE_PROFIT: 50 } });
+
+    await pushPnl(mock, bot, 30);
+    assert.equal(orderRequests(mock).length, 0);
+
+    const since = bot.mark();
+    fs.writeFileSync(
+      path.join(bot.dir, "bot-config.json"),
+      JSON.stringify({ TAKE_PROFIT: 25, RECV_WINDOW: 8000 })
+    );
+    await bot.waitForLog(/CONFIG CHANGED/, { since });
+    assert.match(bot.output.slice(since), /TAKE_PROFIT: 50 -> 25\n/);
+    assert.match(bot.output.slice(since), /RECV_WINDOW: unset -> 8000 \(restart required\)/);
+
+    await pushPnl(mock, bot, 30.5);
+    await mock.waitForRequest((r) => r.channel === "trade" && r.op === "order.create");
+    assert.doesNotMatch(bot.output.slice(since), /WS CLOSED/);
+  });
+
+  test("tops UTA up to the target only below the floor and within the daily cap", async () => {
+    mock.setWalletBalance(100);
+    mock.setFundingBalance(1000);
+    bot = await startBot(mock, {
+      TRADE_MODE: "mainnet",
+      UTA_RESERVE_BALANCE: "400",
+      TOPUP_FLOOR: "200",
+      TOPUP_TARGET: "300",
+      TOPUP_DAILY_CAP: "250",
+      TRANSFER_AMOUNT: "500",
+      RESERVE_CHECK_INTERVAL_MS: "300",
+    });
+
+    await bot.waitForLog(/TOP-UP TRANSFER: .* \| amount 200 \(target\)/);
+    await bot.waitForLog(/TOP-UP NONE: UTA balance is at or above TOPUP_FLOOR/);
+
+    let since = bot.mark();
+    mock.setWalletBalance(50);
+    await bot.waitForLog(/TOP-UP TRANSFER: .* \| amount 50 \(TOPUP_DAILY_CAP\)/, { since });
+    since = bot.mark();
+    await bot.waitForLog(/TOP-UP SKIP: TOPUP_DAILY_CAP is used up for today/, { since });
+
+    const transfers = mock.requests.filter((r) => r.path === "/v5/asset/transfer/inter-transfer");
+    assert.deepEqual(
+      transfers.map((r) => [r.body.fromAccountType, r.body.amount]),
+      [
+        ["FUND", "200"],
+        ["FUND", "50"],
+      ]
+    );
+    assert.equal(mock.balances.FUND, 750);
+
+    const decisions = fs
+      .readFileSync(path.join(bot.dir, "journal.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+      .filter((e) => e.type === "topup_decision")
+      .map((e) => `${e.decision}:${e.reason}`);
+    assert.deepEqual(decisions.slice(0, 4), [
+      "transfer:below_floor",
+      "none:above_floor",
+      "transfer:below_floor",
+      "skip:daily_cap_reached",
+    ]);
+  });
+
+  test("logs an unchanged DRY_RUN top-up once instead of every reserve check", async () => {
+    mock.setWalletBalance(100);
+    mock.setFundingBalance(1000);
+    bot = await startBot(mock, {
+      TRADE_MODE: "mainnet",
+      DRY_RUN: "true",
+      UTA_RESERVE_BALANCE: "400",
+      TOPUP_FLOOR: "200",
+      TOPUP_TARGET: "300",
+      TRANSFER_AMOUNT: "500",
+      RESERVE_CHECK_INTERVAL_MS: "200",
+    });
+
+    await bot.waitForLog(/TOP-UP TRANSFER: .* \| amount 200 \(target\)/);
+    await bot.waitForLog(/DRY RUN: would transfer FUND -> UTA/);
+    const since = bot.mark();
+    for (let i = 0; i < 3; i++) {
+      await bot.waitForLog(/source: interval[\s\S]*reserve OK/, { since: bot.mark() });
+    }
+
+    assert.doesNotMatch(bot.output.slice(since), /TOP-UP TRANSFER|DRY RUN: would transfer/);
+    const transfers = mock.requests.filter((r) => r.path === "/v5/asset/transfer/inter-transfer");
+    assert.equal(transfers.length, 0);
+  });
+
+  test("settles lost transfer answers by transferId and reports unknown transfers", async () => {
+    mock.setWalletBalance(100);
+    mock.setFundingBalance(1000);
+    mock.scriptTransfers("lost_response");
+    mock.scriptTransfers("lost_request");
+    bot = await startBot(mock, {
+      TRADE_MODE: "mainnet",
+      UTA_RESERVE_BALANCE: "400",
+      TOPUP_FLOOR: "200",
+      TOPUP_TARGET: "300",
+      TRANSFER_AMOUNT: "500",
+      RESERVE_CHECK_INTERVAL_MS: "300",
+      TRANSFER_RECONCILE_INTERVAL_MS: "1000",
+    });
+
+    // Applied, but the answer was lost: found by transferId and never sent again.
+    await bot.waitForLog(/FUND -> UTA transfer \S+ got no clean answer .* reports it SUCCESS/);
+    await bot.waitForLog(/TOP-UP NONE: UTA balance is at or above TOPUP_FLOOR/);
+    assert.equal(mock.balances.FUND, 800);
+
+    // Never applied: retried with the same transferId.
+    let since = bot.mark();
+    mock.setWalletBalance(150);
+    await bot.waitForLog(/Bybit has no record of it, retrying with the same transferId \(2\/3\)/, {
+      since,
+    });
+    await bot.waitForLog(/Success! Transferred 150 USDT from FUNDING to UTA/, { since });
+
+    const sent = mock.requests.filter((r) => r.path === "/v5/asset/transfer/inter-transfer");
+    assert.equal(sent.length, 3);
+    assert.equal(sent[1].body.transferId, sent[2].body.transferId);
+    assert.equal(mock.transfers.length, 2);
+    assert.equal(mock.balances.FUND, 650);
+
+    since = bot.mark();
+    const external = mock.addExternalTransfer({ amount: 25, from: "UNIFIED", to: "FUND" });
+    await bot.waitForLog(/TRANSFER NOT MADE BY THE BOT: 25 USDT UNIFIED -> FUND/, { since });
+
+    const ledger = JSON.parse(fs.readFileSync(path.join(bot.dir, "transfer-ledger.json"), "utf8"));
+    assert.deepEqual(
+      ledger.transfers.map((t) => [t.origin, t.amount, t.status, t.attempts]),
+      [
+        ["bot", "200", "success", 1],
+        ["bot", "150", "success", 2],
+        ["external", "25", "success", undefined],
+      ]
+    );
+    assert.equal(ledger.transfers[2].transferId, external.transferId);
+  });
+
+  test("sweeps each reserve coin above its rule from availableToWithdraw", async () => {
+    mock.setWalletBalance(2000, { locked: 500 });
+    mock.setFundingBalance(750);
+    mock.setWalletBalance(250, { coin: "USDC" });
+    bot = await startBot(mock, {
+      TRADE_MODE: "mainnet",
+      RESERVE_COINS: "USDT,USDC",
+      UTA_RESERVE_BALANCE: "300",
+      UTA_RESERVE_PERCENT: "20",
+      UTA_RESERVE_BALANCE_USDC: "100",
+      UTA_RESERVE_PERCENT_USDC: "0",
+      RESERVE_FAST_TRANSFER_DELAY_MS: "100",
+    });
+
+    // Total equity 2250 in UTA + 750 in FUND: USDT keeps 20% = 600 of its 1500 available.
+    await bot.waitForLog(/UTA USDT availableToWithdraw: 1500 \| reserve target: 600/);
+    await bot.waitForLog(/transferred 900 USDT excess from UTA to Funding/);
+    await bot.waitForLog(/transferred 150 USDC excess from UTA to Funding/);
+    assert.equal(mock.balances.UNIFIED, 1100);
+    assert.equal(mock.coinBalances.USDC.UNIFIED, 100);
+
+    const since = bot.mark();
+    mock.setWalletBalance(400, { coin: "USDC" });
+    await bot.waitForLog(/Wallet WS detected UTA USDC excess=300/, { since });
+    await bot.waitForLog(/transferred 300 USDC excess from UTA to Funding/, { since });
+
+    const transfers = mock.requests.filter((r) => r.path === "/v5/asset/transfer/inter-transfer");
+    assert.deepEqual(
+      transfers.map((r) => [r.body.coin, r.body.amount]),
+      [
+        ["USDT", "900"],
+        ["USDC", "150"],
+        ["USDC", "300"],
+      ]
+    );
+  });
+
+  test("skips percentage reserve rules while a coin has no USD price", async () => {
+    mock.setWalletBalance(2000);
+    mock.setFundingBalance(1, { coin: "BTC" });
+    bot = await startBot(mock, {
+      TRADE_MODE: "mainnet",
+      RESERVE_COINS: "USDT,BTC",
+      UTA_RESERVE_BALANCE: "300",
+      UTA_RESERVE_PERCENT: "20",
+    });
+
+    await bot.waitForLog(/UTA USDT reserve check skipped: BTC USD price unknown/);
+    await bot.waitForLog(/UTA BTC reserve check skipped: BTC USD price unknown/);
+
+    const transfers = mock.requests.filter((r) => r.path === "/v5/asset/transfer/inter-transfer");
+    assert.equal(transfers.length, 0);
+  });
+
+  test("runs several accounts side by side and keeps them running when one fails", async () => {
+    const sub = await startMockBybit({ apiKey: "sub-key", apiSecret: "sub-secret" });
+
+    try {
+      bot = await startBot(mock, {
+        ACCOUNTS: "MAIN,SUB,BROKEN",
+        MAIN_API_KEY: mock.apiKey,
+        MAIN_API_SECRET: mock.apiSecret,
+        SUB_API_KEY: sub.apiKey,
+        SUB_API_SECRET: sub.apiSecret,
+        SUB_BYBIT_REST_URL: sub.restUrl,
+        SUB_BYBIT_PRIVATE_WS_URL: sub.privateWsUrl,
+        SUB_BYBIT_TRADE_WS_URL: sub.tradeWsUrl,
+        SUB_BYBIT_PUBLIC_WS_URL: sub.publicWsUrl,
+        SUB_TAKE_PROFIT: "5",
+        BROKEN_API_KEY: "broken-key",
+        BROKEN_API_SECRET: "broken-secret",
+        BROKEN_MAX_LOSS: "10",
+      });
+      await bot.waitForLog(/\[SUB\] .*TRADE WS AUTH OK/);
+      await bot.waitForLog(/\[BROKEN\] ACCOUNT FAILED: Invalid configuration[\s\S]*MAX_LOSS/);
+      await bot.waitForLog(/\[BROKEN\] ACCOUNT STOPPED \(exit 1\), restarting in 5s/);
+
+      // +6 is past SUB's own TAKE_PROFIT but not the shared one MAIN uses.
+      for (const exchange of [mock, sub]) {
+        exchange.setPosition({
+          symbol: "BTCUSDT",
+          side: "Buy",
+          size: 0.01,
+          avgPrice: 60000,
+          markPrice: 60600,
+          unrealisedPnl: 6,
+        });
+      }
+      await sub.waitForRequest((r) => r.channel === "trade" && r.op === "order.create");
+      await bot.waitForLog(/\[SUB\] .*position confirmed closed/);
+      await bot.waitForLog(/\[MAIN\] .*PnL \(USDT\): 6\b/);
+
+      assert.equal(orderRequests(mock).length, 0);
+      assert.equal(mock.getPosition("BTCUSDT").size, "0.01");
+      assert.ok(fs.existsSync(path.join(bot.dir, "journal.sub.jsonl")));
+    } finally {
+      await bot?.stop();
+      bot = null;
+      await sub.close();
+    }
+  });
+
+  test("DRY_RUN journals the close it would send and sends nothing", async () => {
+    bot = await startBot(mock, { DRY_RUN: "true" });
+
+    await pushPnl(mock, bot, 25);
+    await bot.waitForLog(/DRY RUN: would close BTCUSDT/);
+    await pushPnl(mock, bot, 26);
+
+    assert.equal(orderRequests(mock).length, 0);
+    assert.equal(mock.getPosition("BTCUSDT").size, "0.01");
+
+    const journal = fs
+      .readFileSync(path.join(bot.dir, "journal.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    const dryRuns = journal.filter((e) => e.type === "dry_run");
+
+    assert.equal(dryRuns.length, 1);
+    assert.equal(dryRuns[0].trigger, "take_profit");
+    assert.equal(dryRuns[0].transport, "ws");
+    assert.deepEqual(dryRuns[0].order, {
+      category: "linear",
+      symbol: "BTCUSDT",
+      side: "Sell",
+      orderType: "Market",
+      qty: "0.01",
+      timeInForce: "IOC",
+      reduceOnly: true,
+      positionIdx: 0,
+    });
+  });
+
+  test("escalates a close that never fills and then flags the position", async () => {
+    bot = await startBot(mock, { CLOSE_VERIFY_RETRIES: "2", CLOSE_ESCALATION_ROUNDS: "1" });
+    mock.settings.fillOrders = false;
+
+    await pushPnl(mock, bot, -11);
+    await bot.waitForLog(/CLOSE ESCALATION 1\/1: re-closing remainder 0\.01 via REST/);
+    await bot.waitForLog(/MANUAL ATTENTION NEEDED/);
+
+    assert.deepEqual(orderRequests(mock).map((r) => r.channel), ["trade", "rest"]);
+
+    const state = JSON.parse(fs.readFileSync(path.join(bot.dir, "bot-state.json"), "utf8"));
+    assert.ok(state.manualAttention["BTCUSDT:0"]);
+
+    // Flagged legs are left alone: a deeper loss must not trigger another close.
+    const since = bot.mark();
+    await pushPnl(mock, bot, -30);
+    assert.match(bot.output.slice(since), /needs manual attention, automatic exits stopped/);
+    assert.equal(orderRequests(mock).length, 2);
+  });
+
+  test("takes each ladder rung once and verifies against the remaining size", async () => {
+    bot = await startBot(mock, { TAKE_PROFIT: "100", TAKE_PROFIT_LADDER: "10:30,15:30,25:rest" });
+    const qtys = () => orderRequests(mock).map((r) => r.body.qty);
+
+    await pushPnl(mock, bot, 12, 0.1);
+    await bot.waitForLog(/partial close confirmed \| size=0\.07 \(expected 0\.07\)/);
+    assert.deepEqual(qtys(), ["0.03"]);
+
+    // Rung 2 hit while the previous close still holds the leg stays pending, not lost.
+    await pushPnl(mock, bot, 16, 0.07);
+    await delay(300);
+    assert.deepEqual(qtys(), ["0.03"]);
+
+    await delay(3200);
+    await pushPnl(mock, bot, 13, 0.07);
+    await delay(300);
+    assert.deepEqual(qtys(), ["0.03"]);
+
+    await pushPnl(mock, bot, 16.5, 0.07);
+    await bot.waitForLog(/partial close confirmed \| size=0\.04 \(expected 0\.04\)/);
+    assert.deepEqual(qtys(), ["0.03", "0.03"]);
+
+    await delay(3200);
+    await pushPnl(mock, bot, 26, 0.04);
+    await bot.waitForLog(/position confirmed closed/);
+    assert.deepEqual(qtys(), ["0.03", "0.03", "0.04"]);
+    assert.equal(mock.getPosition("BTCUSDT").size, "0");
+  });
+
+  test("folds a ladder rung below minOrderQty into the next rung", async () => {
+    mock.setInstrument("BTCUSDT", { qtyStep: "0.01", minOrderQty: "0.02" });
+    bot = await startBot(mock, { TAKE_PROFIT: "100", TAKE_PROFIT_LADDER: "10:10,15:20,30:rest" });
+
+    const since = bot.mark();
+    await pushPnl(mock, bot, 12, 0.1);
+    await bot.waitForLog(/rung 1 qty 0\.01 is below minOrderQty 0\.02, kept pending/);
+    await pushPnl(mock, bot, 13, 0.1);
+    await delay(300);
+    assert.equal(orderRequests(mock).length, 0);
+    assert.equal(bot.output.slice(since).match(/below minOrderQty/g).length, 1);
+
+    await pushPnl(mock, bot, 16, 0.1);
+    await bot.waitForLog(/partial close confirmed \| size=0\.07 \(expected 0\.07\)/);
+    assert.deepEqual(orderRequests(mock).map((r) => r.body.qty), ["0.03"]);
+  });
+
+  test("closes each hedge leg on its own thresholds", async () => {
+    bot = await startBot(mock, { POSITION_MODE: "hedge", TAKE_PROFIT_BTCUSDT_BUY: "8" });
+    const leg = (positionIdx, side, size, unrealisedPnl) =>
+      mock.setPosition({
+        symbol: "BTCUSDT",
+        positionIdx,
+        side,
+        size,
+        avgPrice: 60000,
+        markPrice: 60000 + (side === "Buy" ? 1 : -1) * (unrealisedPnl / size),
+        unrealisedPnl,
+      });
+
+    // A push that lands while the symbol is still being evaluated waits for the next poll,
+    // so let the Buy leg settle before the Sell leg moves.
+    leg(1, "Buy", 0.01, 5);
+    await bot.waitForLog(/BTCUSDT\[Buy\] PnL \(USDT\): 5\b/);
+    await delay(300);
+    leg(2, "Sell", 0.02, -11);
+    await bot.waitForLog(/BTCUSDT\[Sell\] position confirmed closed/);
+
+    let orders = orderRequests(mock);
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].body.positionIdx, 2);
+    assert.equal(orders[0].body.side, "Buy");
+    assert.equal(orders[0].body.qty, "0.02");
+    assert.equal(mock.getPosition("BTCUSDT", 1).size, "0.01");
+
+    // 9 USDT is below the global TAKE_PROFIT but above the Buy leg's own.
+    leg(1, "Buy", 0.01, 9);
+    await bot.waitForLog(/BTCUSDT\[Buy\] position confirmed closed/);
+
+    orders = orderRequests(mock);
+    assert.equal(orders.length, 2);
+    assert.equal(orders[1].body.positionIdx, 1);
+    assert.equal(orders[1].body.side, "Sell");
+    assert.equal(mock.getPosition("BTCUSDT", 2).size, "0");
+  });
+
+  test("drops a close queued during a trade WS reconnect once it expires", async () => {
+    bot = await startBot(mock, { TRADE_WS_QUEUE_TTL_MS: "1000" });
+    await pushPnl(mock, bot, 0);
+
+    mock.settings.tradeAuthDelayMs = 3000;
+    const since = bot.mark();
+    const droppedAt = Date.now();
+    mock.dropConnections("trade");
+    await mock.waitForRequest((r) => r.channel === "trade" && r.op === "auth" && r.at >= droppedAt);
+
+    await pushPnl(mock, bot, 25);
+    await bot.waitForLog(/WS close expired: not sent within 1000ms/, { since });
+    await bot.waitForLog(/position confirmed closed/, { since });
+
+    // The socket authenticates after the close went out over REST; the stale one must stay put.
+    await bot.waitForLog(/TRADE WS AUTH OK/, { since });
+    await delay(300);
+    assert.deepEqual(orderRequests(mock).map((r) => r.channel), ["rest"]);
+  });
+
+  test("trails the PnL peak and closes on the giveback, not at TAKE_PROFIT", async () => {
+    bot = await startBot(mock, {
+      TRAILING_ENABLED: "true",
+      TRAILING_ACTIVATION_PNL: "10",
+      TRAILING_GIVEBACK: "5",
+    });
+
+    await pushPnl(mock, bot, 8);
+    assert.doesNotMatch(bot.output, /TRAILING ARMED/);
+
+    await pushPnl(mock, bot, 12);
+    await bot.waitForLog(/TRAILING ARMED at 12 USDT \(activation 10\)/);
+
+    for (const pnl of [30, 26]) {
+      await pushPnl(mock, bot, pnl);
+    }
+    await delay(300);
+    assert.equal(orderRequests(mock).length, 0);
+
+    await pushPnl(mock, bot, 24.5);
+    await bot.waitForLog(/TRAILING STOP HIT \(trailing stop \| peak=30 USDT/);
+    await bot.waitForLog(/position confirmed closed/);
+
+    const threshold = fs
+      .readFileSync(path.join(bot.dir, "journal.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+      .find((e) => e.type === "threshold");
+
+    assert.equal(threshold.trigger, "trailing_stop");
+    assert.equal(threshold.peak, 30);
+    assert.deepEqual(orderRequests(mock).map((r) => r.body.qty), ["0.01"]);
+  });
+
+  test("moves the loss limit to break-even once the trigger is reached", async () => {
+    bot = await startBot(mock, { BREAK_EVEN_TRIGGER: "10", BREAK_EVEN_BUFFER: "1" });
+
+    await pushPnl(mock, bot, 11);
+    await bot.waitForLog(/BREAK-EVEN ARMED\n.*entry: 60000\n.*\nloss limit is now PnL <= 1 USDT/);
+
+    await pushPnl(mock, bot, 3);
+    await delay(300);
+    assert.equal(orderRequests(mock).length, 0);
+
+    await pushPnl(mock, bot, 0.8);
+    await bot.waitForLog(/BREAK-EVEN STOP HIT \(break-even stop \| buffer=1 \| entry=60000/);
+    await bot.waitForLog(/position confirmed closed/);
+    assert.equal(orderRequests(mock).length, 1);
+
+    // A new position starts with the plain MAX_LOSS again.
+    await pushPnl(mock, bot, 0.5);
+    await delay(300);
+    assert.equal(orderRequests(mock).length, 1);
+  });
+
+  test("locks out after the daily loss limit until a reset or the next UTC day", async () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "bybit-bot-state-"));
+    const stateFile = path.join(stateDir, "bot-state.json");
+    const env = { DAILY_MAX_LOSS: "-25", BOT_STATE_FILE: stateFile };
+    const now = String(Date.now());
+    mock.closedPnl.push({
+      symbol: "BTCUSDT",
+      side: "Sell",
+      qty: "0.01",
+      closedSize: "0.01",
+      closedPnl: "-30",
+      orderId: "earlier-today",
+      createdTime: now,
+      updatedTime: now,
+    });
+
+    try {
+      bot = await startBot(mock, env);
+      await bot.waitForLog(/DAILY LOSS LIMIT HIT - LOCKOUT ENGAGED/);
+
+      // Anything opened during the lockout is closed right away, even in profit.
+      const since = bot.mark();
+      mock.setPosition({
+        symbol: "BTCUSDT",
+        side: "Buy",
+        size: 0.01,
+        avgPrice: 60000,
+        markPrice: 60500,
+        unrealisedPnl: 5,
+      });
+      await bot.waitForLog(/DAILY LOSS LOCKOUT active/, { since });
+      await bot.waitForLog(/position confirmed closed/, { since });
+      assert.equal(orderRequests(mock).length, 1);
+      await bot.stop();
+
+      bot = await startBot(mock, env);
+      await bot.waitForLog(/Daily loss lockout restored from/);
+      await bot.stop();
+
+      bot = await startBot(mock, { ...env, DAILY_LOSS_RESET: "true" });
+      await bot.waitForLog(/Daily loss lockout reset \(DAILY_LOSS_RESET env\)/);
+      await pushPnl(mock, bot, 5);
+      await delay(300);
+      assert.equal(orderRequests(mock).length, 1);
+      await bot.stop();
+
+      // A lockout left over from yesterday is lifted when the day rolls over.
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      state.dailyLoss = { ...state.dailyLoss, day: yesterday, lockout: true };
+      fs.writeFileSync(stateFile, JSON.stringify(state));
+      mock.closedPnl.length = 0;
+
+      bot = await startBot(mock, env);
+      await bot.waitForLog(/New UTC day \d{4}-\d{2}-\d{2}: daily loss lockout lifted/);
+      await pushPnl(mock, bot, 6);
+      await delay(300);
+      assert.equal(orderRequests(mock).length, 1);
+      assert.equal(JSON.parse(fs.readFileSync(stateFile, "utf8")).dailyLoss.lockout, false);
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+async function runBot(dir, env) {
+  try {
+    await promisify(execFile)(process.execPath, [path.join(ROOT, "index.js")], {
+      cwd: dir,
+      env: { PATH: process.env.PATH, TELEGRAM_LOGS_ENABLED: "false", ...env },
+      timeout: 30_000,
+    });
+    return { code: 0, stderr: "" };
+  } catch (err) {
+    return { code: err.code, stderr: err.stderr };
+  }
+}
+
+describe("config file", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bybit-bot-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("reports every invalid file and env value at startup", async () => {
+    fs.writeFileSync(
+      path.join(dir, "bot-config.json"),
+      JSON.stringify({
+        MAX_LOSS: 5,
+        TAKE_PROFIT_LADDER: "40:abc",
+        symbols: { ETHUSDT: { TAKE_PROFIT: -3, BUY: { THRESHOLD_TYPE: "roe" } } },
+        coins: { USDC: { UTA_RESERVE_PERCENT: 150, MAX_LOSS: -1 } },
+        UNKNOWN_SETTING: 1,
+      })
+    );
+
+    const { code, stderr } = await runBot(dir, {
+      API_KEY: "key",
+      API_SECRET: "secret",
+      RECV_WINDOW: "fast",
+    });
+
+    assert.notEqual(code, 0);
+    assert.match(stderr, /Invalid configuration/);
+    assert.match(stderr, /unknown setting "UNKNOWN_SETTING"/);
+    assert.match(stderr, /"symbols\.ETHUSDT\.BUY\.THRESHOLD_TYPE" can not be set per leg/);
+    assert.match(stderr, /bot-config\.json MAX_LOSS: must be negative \(got 5\)/);
+    assert.match(stderr, /TAKE_PROFIT_LADDER: Invalid TAKE_PROFIT_LADDER rung "40:abc"/);
+    assert.match(stderr, /symbols\.ETHUSDT\.TAKE_PROFIT: must be positive \(got -3\)/);
+    assert.match(stderr, /coins\.USDC\.UTA_RESERVE_PERCENT: must be between 0 and 100 \(got 150\)/);
+    assert.match(stderr, /"coins\.USDC\.MAX_LOSS" can not be set per coin/);
+    assert.match(stderr, /env RECV_WINDOW: must be a number \(got "fast"\)/);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, describe, test } from "node:test";
+import WebSocket from "ws";
+
+import { startMockBybit } from "../mock/bybit-mock.js";
+
+const sign = (secret, payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+async function postOrder(mock, body, secret = mock.apiSecret) {
+  const bodyString = JSON.stringify(body);
+  const timestamp = String(Date.now());
+
+  const res = await fetch(`${mock.restUrl}/v5/order/create`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-BAPI-API-KEY": mock.apiKey,
+      "X-BAPI-TIMESTAMP": timestamp,
+      "X-BAPI-RECV-WINDOW": "5000",
+      "X-BAPI-SIGN": sign(secret, `${timestamp}${mock.apiKey}5000${bodyString}`),
+    },
+    body: bodyString,
+  });
+
+  return res.json();
+}
+
+function wsAuth(url, secret) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    const expires = Date.now() + 10_000;
+
+    ws.on("open", () => {
+      const signature = sign(secret, `GET/realtime${expires}`);
+      ws.send(JSON.stringify({ op: "auth", args: ["mock-key", expires, signature] }));
+    });
+    ws.on("message", (raw) => {
+      ws.close();
+      resolve(JSON.parse(String(raw)));
+    });
+    ws.on("error", reject);
+  });
+}
+
+describe("mock bybit", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockBybit();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  test("rejects REST requests with a bad signature", async () => {
+    const res = await postOrder(mock, { category: "linear" }, "wrong-secret");
+    assert.equal(res.retCode, 10004);
+  });
+
+  test("rejects a legacy query-signed GET with a bad signature", async () => {
+    const params = new URLSearchParams({
+      api_key: mock.apiKey,
+      category: "linear",
+      recv_window: "5000",
+      symbol: "BTCUSDT",
+      timestamp: String(Date.now()),
+    });
+    params.set("sign", "0".repeat(64));
+
+    const res = await (await fetch(`${mock.restUrl}/v5/position/list?${params}`)).json();
+    assert.equal(res.retCode, 10004);
+  });
+
+  test("fills a signed reduce-only order against the scripted position", async () => {
+    mock.setPosition({
+      symbol: "BTCUSDT",
+      side: "Buy",
+      size: 0.02,
+      avgPrice: 100,
+      unrealisedPnl: 4,
+    });
+
+    const res = await postOrder(mock, {
+      category: "linear",
+      symbol: "BTCUSDT",
+      side: "Sell",
+      orderType: "Market",
+      qty: "0.01",
+      reduceOnly: true,
+      positionIdx: 0,
+    });
+
+    assert.equal(res.retCode, 0);
+    assert.equal(mock.getPosition("BTCUSDT").size, "0.01");
+    assert.equal(mock.closedPnl.at(-1).closedPnl, "2");
+  });
+
+  test("only authenticates websockets signed with the API secret", async () => {
+    assert.equal((await wsAuth(mock.privateWsUrl, mock.apiSecret)).success, true);
+    assert.equal((await wsAuth(mock.tradeWsUrl, "wrong-secret")).success, false);
+  });
+});
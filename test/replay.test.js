@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+function positionMessage(ts, side, size, unrealisedPnl) {
+  return {
+    topic: "position",
+    creationTime: ts,
+    data: [
+      {
+        symbol: "BTCUSDT",
+        positionIdx: 0,
+        side: size > 0 ? side : "",
+        size: String(size),
+        avgPrice: "60000",
+        markPrice: "60000",
+        leverage: "10",
+        positionIM: "60",
+        positionValue: "600",
+        unrealisedPnl: String(unrealisedPnl),
+      },
+    ],
+  };
+}
+
+// A long that runs to +70 and gives it all back, then a short that bleeds to -50.
+function buildRecording() {
+  const t0 = Date.UTC(2025, 0, 1);
+  const messages = [];
+
+  [0, 25, 40, 70, 30, 0].forEach((pnl, i) => {
+    messages.push(positionMessage(t0 + i * 1000, "Buy", 0.01, pnl));
+  });
+  messages.push(positionMessage(t0 + 10_000, "Buy", 0, 0));
+
+  [-5, -20, -35, -50].forEach((pnl, i) => {
+    messages.push(positionMessage(t0 + 20_000 + i * 1000, "Sell", 0.01, pnl));
+  });
+
+  return messages.map((m) => JSON.stringify(m)).join("\n");
+}
+
+async function runReplay(dir, env) {
+  const { stdout } = await promisify(execFile)(process.execPath, [path.join(ROOT, "index.js")], {
+    cwd: dir,
+    env: { PATH: process.env.PATH, SYMBOLS: "BTCUSDT", TELEGRAM_LOGS_ENABLED: "false", ...env },
+    timeout: 30_000,
+  });
+  return stdout;
+}
+
+describe("replay", () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bybit-bot-replay-"));
+    file = path.join(dir, "positions.jsonl");
+    fs.writeFileSync(file, buildRecording());
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("reports every trade for the env config and each grid pair", async () => {
+    const output = await runReplay(dir, {
+      REPLAY_FILE: file,
+      MAX_LOSS: "-70",
+      TAKE_PROFIT: "90",
+      REPLAY_GRID: "60:-30",
+    });
+
+    const [envSection, gridSection] = output.split(/^=== /m).slice(1);
+
+    assert.match(envSection, /^env /);
+    assert.match(envSection, /TOTAL trades=2 wins=0 losses=1 winRate=0% pnl=-50 USDT/);
+    assert.match(envSection, /EXITS open 2/);
+
+    assert.match(gridSection, /^TP 60 \/ SL -30 /);
+    assert.match(gridSection, /take_profit\s+70/);
+    assert.match(gridSection, /max_loss\s+-35/);
+    assert.match(gridSection, /TOTAL trades=2 wins=1 losses=1 winRate=50% pnl=35 USDT/);
+
+    assert.match(output, /COMPARISON[\s\S]*TP 60 \/ SL -30[\s\S]*env/);
+  });
+
+  test("never writes a journal or state file", async () => {
+    await runReplay(dir, { REPLAY_FILE: file });
+    assert.deepEqual(fs.readdirSync(dir), ["positions.jsonl"]);
+  });
+
+  test("leaves an existing state file alone with the daily loss guard on", async () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "bybit-bot-replay-state-"));
+    const stateFile = path.join(stateDir, "bot-state.json");
+    const state = JSON.stringify({
+      dailyLoss: { day: "2025-01-01", realizedPnl: -500, baselinePnl: 0, lockout: true },
+      manualAttention: { "BTCUSDT:0": { reason: "close not filled" } },
+    });
+    fs.writeFileSync(stateFile, state);
+
+    try {
+      await runReplay(stateDir, { REPLAY_FILE: file, DAILY_MAX_LOSS: "-100" });
+      assert.equal(fs.readFileSync(stateFile, "utf8"), state);
+      assert.deepEqual(fs.readdirSync(stateDir), ["bot-state.json"]);
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+});